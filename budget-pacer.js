@@ -3,7 +3,8 @@
  *
  * @overview
  * Creates pacing dashboards for accounts under a Google Ads Manager (MCC). For each client
- * account, the script generates a Google Sheet with:
+ * account, the script generates a Google Sheet tab (or, with CLIENT_SPREADSHEETS, its own shareable
+ * spreadsheet) with:
  *   - Monthly budget pacing overview
  *   - Daily spend tables
  *   - Line graphs showing forecast vs. actual
@@ -22,7 +23,7 @@
  * 4) Run the script.
  * 5) Go into the Google Sheet CONFIG and add the monthly budget to the Monthly Budget Column
  * 6) Re-run the script
- * 7) Schedule to run daily so pacing data stays fresh.
+ * 7) Schedule to run daily so pacing data stays fresh (hourly if a run cannot finish every account).
  *
  * @author Sam Lalonde
  * https://www.linkedin.com/in/samlalonde/ - sam@samlalonde.com
@@ -31,9 +32,35 @@
  * MIT — Free to use, modify, and distribute. See https://opensource.org/licenses/MIT
  *
  * @version
- * 1.0
+ * 1.1
  *
  * @changelog
+ * - v1.1
+ *   - Email digest for accounts that go red/yellow or are projected over their cap.
+ *   - Opt-in auto-adjust of campaign budgets toward the recommended daily spend (with dry-run).
+ *   - Hard-cap safeguard: pauses (and next month resumes) campaigns at a % of the cap, with audit tab.
+ *   - Custom budget periods per account: calendar month, quarter, monthly flight or explicit dates.
+ *   - "Budget Schedule" tab with month-by-month budgets; Config budget is the fallback.
+ *   - Daily "History" snapshots and a per-period "Forecast Accuracy" closeout.
+ *   - Selectable forecast models (WMA, exponential smoothing, day-of-week, last year), per account.
+ *   - "Budget Groups": campaign-label budgets paced like accounts, shown as child rows on the Overview.
+ *   - Portfolio totals converted to a reporting currency via a maintained "FX Rates" tab.
+ *   - Optional pacing against each account's active Google Ads budget order (cap + dates).
+ *   - Resumable runs: per-account checkpoints survive the execution time limit.
+ *   - Accounts are collected in parallel (executeInParallel); failures are listed per account.
+ *   - Batched sheet writes; tab layouts are only rebuilt when missing or outdated.
+ *   - Account tabs tracked by ID: renamed with the account; orphaned tabs archived or deleted.
+ *   - Config validation: per-row "Config Status", checkboxes/number-only budgets, Overview summary.
+ *   - Per-account green/yellow pacing bands (optionally asymmetric) for labels, colors and alerts.
+ *   - Chat webhooks (Slack, Teams, Google Chat or raw JSON) with status changes and worst pacers.
+ *   - Sub-manager and account labels recorded in Config; Overview grouping with subtotals; label-filtered seeding.
+ *   - Optional per-account rollover of last period's under/overspend into this period's cap.
+ *   - Budget exhaustion date and a 0–100 overspend risk score; Overview sorted worst first.
+ *   - Optional per-client spreadsheets, shared view-only with the Config "Viewer Emails".
+ *   - Periods, targets and daily rows computed in each account's own time zone.
+ *   - Optional completed-days-only pacing, plus an intraday end-of-day projection from the hourly curve.
+ *   - Pacing on conversions, clicks or impressions against a per-account target, alongside the spend cap (with CPA).
+ *   - Reporting moved from AWQL to GAQL (cost in micros); spend to date is summed from the daily rows.
  * - v1.0
  *   - Initial release with MCC-level budget pacing, daily spend tables, and forecast graphs.
  *   - Account-specific tabs include pacing % and recommended budget adjustments.
@@ -50,18 +77,155 @@ var USER_SHEET_URL  = 'https://docs.google.com/spreadsheets/d/INSERTSHEETID/';
 // Use 'MCC' or 'AUTO' to use the account/MCC time zone.
 var TIMEZONE = 'MCC';
 
+// Forecast model: 'WMA' (weighted recent average), 'EXP' (exponential smoothing),
+// 'DOW' (day-of-week seasonal) or 'YOY' (same period last year, scaled to this year's spend).
+// Overridable per account in the Config "Forecast Model" column.
+var FORECAST_MODEL = 'WMA';
+
+// Traffic-light bands on the pace delta (spend vs target to date): within GREEN = on target,
+// within YELLOW = watch, beyond = red. Defaults for every account; Config band columns override
+// them per account, including separate under-pace bands.
+var PACE_GREEN_BAND = 0.05;
+var PACE_YELLOW_BAND = 0.10;
+
 // Lookback window for the weighted recent average (newest day highest weight)
 var WMA_WINDOW_DAYS = 7;
 
+// TRUE = pace on completed days only: today's partial spend is left out of spend to date, days
+// elapsed and the forecast models, so mornings do not read as under-pacing. Today is then shown
+// separately in the account tab's intraday rows (hourly spend so far vs. the account's typical
+// hourly curve over the last INTRADAY_TRAINING_DAYS days, projected to end of day).
+var PACE_COMPLETED_DAYS_ONLY = false;
+var INTRADAY_TRAINING_DAYS = 28;
+
+// EXP: weight of the newest day (0–1). DOW: weeks of daily cost used to learn the weekday pattern.
+var EXP_SMOOTHING_ALPHA = 0.3;
+var DOW_TRAINING_WEEKS = 6;
+
+// Alert digest recipients (comma-separated). These receive every alerting account;
+// per-account recipients can be added in the Config "Alert Emails" column.
+var ALERT_EMAILS = '';
+
+// TRUE = only email accounts whose alert status changed since the previous run.
+var ALERT_ONLY_ON_CHANGE = true;
+
+// Chat notifications: incoming-webhook URLs (comma-separated) that get a pacing summary after every
+// full run; later runs the same day only post again when a status changed. Per-account URLs go in
+// the Config "Webhook URLs" column. The payload format follows the host (Slack, Teams, Google Chat);
+// other URLs get WEBHOOK_FORMAT ('RAW' = plain JSON, handy for testing against your own endpoint).
+// Failed posts are retried WEBHOOK_MAX_RETRIES times, and again on the next run.
+var WEBHOOK_URLS = '';
+var WEBHOOK_FORMAT = 'RAW';
+var WEBHOOK_MAX_RETRIES = 2;
+var WEBHOOK_TOP_N = 3; // worst over- and under-pacers listed
+
+// Auto-adjust (opt-in per account via Config): splits "Recommended Daily Spend to 100%" across
+// the account's enabled campaign budgets by current share. DRY RUN only writes the proposal to
+// the "Budget Changes" tab. Preview runs are always treated as a dry run. Budgets are changed at
+// most once per account per day, however often the script is scheduled.
+var AUTO_ADJUST_DRY_RUN = true;
+var AUTO_ADJUST_MIN_CHANGE_PCT = 0.02; // skip changes smaller than 2% of the current budget
+var AUTO_ADJUST_MAX_CHANGE_PCT = 0.20; // never move a budget more than 20% per run
+
+// Hard cap (opt-in per account via Config "Pause at % of Cap"): campaigns paused by the script get
+// this label and are re-enabled on the first run of the next period, even if the account has since
+// lost its budget or been excluded. Logged to "Hard Cap Audit".
+var HARD_CAP_LABEL = 'Budget Pacer - Paused at Cap';
+
+// "Budget Schedule" tab: month columns kept ahead (including the current month), and how many
+// days before month end accounts without a budget for next month are flagged on the Overview.
+var SCHEDULE_MONTHS_AHEAD = 12;
+var SCHEDULE_WARN_DAYS = 5;
+
+// Daily snapshots + forecast accuracy. Blank = "History" / "Forecast Accuracy" tabs in this
+// spreadsheet; or paste the URL of a separate history spreadsheet.
+var HISTORY_SHEET_URL = '';
+
+// Portfolio totals on the Overview are converted into this currency. Rates live in the "FX Rates"
+// tab (GOOGLEFINANCE, kept by the script); a "Manual Override" rate there always wins.
+var REPORTING_CURRENCY = 'USD';
+
+// TRUE = pace against each account's active account-level budget (budget order): its spending
+// limit becomes the cap and its start/end dates the period. Config budgets are then only used
+// for accounts without an active budget order, and mismatches are flagged on the Overview.
+var USE_BUDGET_ORDERS = false;
+
+// Stop this many seconds before the execution time limit. Finished accounts are checkpointed and
+// the next run on the same day resumes with the rest; the Overview is written once all are done.
+var CHECKPOINT_SAFETY_SECONDS = 120;
+
+// Accounts collected in parallel per run (Google Ads allows at most 50); the rest are then collected one
+// at a time while time remains. If a run still stops early, schedule hourly so later runs finish the day.
+var PARALLEL_BATCH_SIZE = 50;
+
+// Account tabs are tracked by account ID, so renamed accounts keep (and rename) their tab. Tabs of
+// accounts no longer paced (Include = FALSE, removed from the MCC, deleted budget group):
+// 'ARCHIVE' = hide and prefix with ARCHIVED_TAB_PREFIX (restored if the account returns),
+// 'DELETE' = remove the tab, 'KEEP' = leave as is.
+var ORPHAN_TAB_ACTION = 'ARCHIVE';
+var ARCHIVED_TAB_PREFIX = 'Archived - ';
+
+// Only seed Config with MCC accounts carrying this account label (blank = all accounts), so a
+// team can point its own spreadsheet at its own accounts. Existing Config rows are kept.
+var SEED_ACCOUNT_LABEL = '';
+
+// Overview grouping with a subtotal row per group: '' (flat), 'SUB_MANAGER' or 'LABEL'. With
+// LABEL, an account with several labels is listed under each; OVERVIEW_GROUP_LABEL_PREFIX
+// (e.g. 'Team:') limits grouping to labels starting with it.
+var OVERVIEW_GROUP_BY = '';
+var OVERVIEW_GROUP_LABEL_PREFIX = '';
+
+// TRUE = each account's tabs go to its own spreadsheet (created on first run, named with this
+// prefix), shared as view-only with the Config "Viewer Emails" so a client sees only their own
+// pacing. The Overview links to those spreadsheets; account tabs left here are archived.
+var CLIENT_SPREADSHEETS = false;
+var CLIENT_SPREADSHEET_PREFIX = 'Budget Pacing - ';
+
+// Overview row order: 'RISK' (highest risk score first, failed accounts on top) or 'NAME'. The
+// 0–100 risk score weighs pace delta, forecast overshoot of the cap and the volatility of the
+// last WMA_WINDOW_DAYS daily costs; each part counts fully at RISK_FULL_SCALE (e.g. 50% over).
+var OVERVIEW_SORT = 'RISK';
+var RISK_WEIGHT_PACE = 0.4;
+var RISK_WEIGHT_OVERSHOOT = 0.4;
+var RISK_WEIGHT_VOLATILITY = 0.2;
+var RISK_FULL_SCALE = 0.5;
+
 // ===========================================================
 
 var CONFIG_HEADERS = [
   'Account ID (digits only)',
   'Account Name',
   'Monthly Budget',
-  'Include? (TRUE/FALSE)'
+  'Include? (TRUE/FALSE)',
+  'Alert Emails (comma-separated)',
+  'Auto-Adjust Budgets? (TRUE/FALSE)',
+  'Pause at % of Cap',
+  'Period Type (MONTH/QUARTER/FLIGHT/CUSTOM)',
+  'Period Start',
+  'Period End',
+  'Forecast Model (WMA/EXP/DOW/YOY)',
+  'Config Status (set by script)',
+  'Green Band %',
+  'Yellow Band %',
+  'Under-Pace Green Band %',
+  'Under-Pace Yellow Band %',
+  'Webhook URLs (comma-separated)',
+  'Sub-Manager (set by script)',
+  'Account Labels (set by script)',
+  'Rollover? (TRUE/FALSE)',
+  'Rollover Limit (amount or %)',
+  'Viewer Emails (comma-separated)',
+  'Pacing Metric (COST/CONVERSIONS/CLICKS/IMPRESSIONS)',
+  'Metric Target (per period)'
 ];
 
+// 1-based Config columns the script writes; new columns are appended, so these never move.
+var CONFIG_COL = {
+  STATUS:      CONFIG_HEADERS.indexOf('Config Status (set by script)') + 1,
+  SUB_MANAGER: CONFIG_HEADERS.indexOf('Sub-Manager (set by script)') + 1,
+  LABELS:      CONFIG_HEADERS.indexOf('Account Labels (set by script)') + 1
+};
+
 var OVERVIEW_HEADERS = [
   'Account Name','Account ID','Account Sheet',
   'Budget Cap','Spend to Date',
@@ -69,22 +233,64 @@ var OVERVIEW_HEADERS = [
   'Trend (vs Target)',
   'Pace Delta % (vs Target)',
   'Available Budget Remaining',
-  'Days in Month','Days Elapsed',
+  'Days in Period','Days Elapsed',
   'Target Spend To Date',
   'Pace vs Target',
   'Percentage Budget Spent',
   'Projected EoM Spend',
   'Recommended Daily Spend to 100%',
-  'Account Currency'
+  'Account Currency',
+  'Period',
+  'Budget Schedule Check',
+  'FX Rate → ' + REPORTING_CURRENCY,
+  'Budget Cap (' + REPORTING_CURRENCY + ')',
+  'Spend to Date (' + REPORTING_CURRENCY + ')',
+  'Target Spend To Date (' + REPORTING_CURRENCY + ')',
+  'Projected EoM Spend (' + REPORTING_CURRENCY + ')',
+  'Budget Order Check',
+  'Last Refreshed',
+  'Errors',
+  'Pace Status',
+  'Exhaustion Date',
+  'Days Before(-)/After(+) Period End',
+  'Risk Score',
+  'Account Time Zone',
+  'Local As Of',
+  'Pacing Metric',
+  'CPA to Date',
+  'Target CPA'
 ];
 
-var PROP = { SPREADSHEET_ID: 'BUDGET_PACING_SPREADSHEET_ID' };
+var PROP = {
+  SPREADSHEET_ID: 'BUDGET_PACING_SPREADSHEET_ID',
+  ALERT_STATE:    'BUDGET_PACING_ALERT_STATE',
+  HARD_CAP_STATE: 'BUDGET_PACING_HARD_CAP_STATE',
+  WEBHOOK_STATE:  'BUDGET_PACING_WEBHOOK_STATE',
+  CHECKPOINT_DATE: 'BUDGET_PACING_CHECKPOINT_DATE',
+  CHECKPOINT_PREFIX: 'BUDGET_PACING_CKPT_', // + account ID → JSON array of that account's summaries
+  DAILY_MARKS:    'BUDGET_PACING_DAILY_MARKS', // accounts whose budgets were auto-adjusted on the run date
+  CLIENT_SS_PREFIX: 'BUDGET_PACING_CLIENT_SS_' // + account ID → ID of its client spreadsheet
+};
+
+// Developer metadata keys on tabs the script owns.
+var META = {
+  LAYOUT: 'budgetPacer.layout',    // LAYOUT_VERSION + shape; formats, rules and charts are rebuilt when it differs
+  TAB: 'budgetPacer.tab',          // summary key (account ID, or ID:label for budget groups) of an account tab
+  ARCHIVED: 'budgetPacer.archived' // date the tab was archived as an orphan
+};
+
+// Bump whenever headers, formats, conditional rules or charts change so every tab is rebuilt once.
+var LAYOUT_VERSION = 3;
+
+// Overview: row 1 = Config summary, row 2 = headers, accounts from row 3.
+var OVERVIEW_FIRST_ROW = 3;
 
 function main() {
   var tz = getTz_();
+  var isPreview = AdWordsApp.getExecutionInfo().isPreview();
   bannerLog_('START RUN', {
     tz: tz,
-    preview: AdWordsApp.getExecutionInfo().isPreview(),
+    preview: isPreview,
     when: Utilities.formatDate(new Date(), tz, "yyyy-MM-dd HH:mm:ss '(" + tz + ")'")
   });
 
@@ -102,105 +308,545 @@ function main() {
   applyConfigHeaderNotes_(shConfig);
   var seed = seedOrMergeConfigWithAccounts_(shConfig);
   Logger.log('🌱 Config seeded/merged — added: ' + seed.added + ', names updated: ' + seed.namesUpdated + ', total rows: ' + seed.totalRows);
+  applyConfigValidation_(shConfig);
+  syncBudgetSchedule_(ss, shConfig, tz);
 
+  var run = loadRunContext_();
+  resumeHardCapsOutsideRun_(run);
+  var configCounts = writeConfigStatus_(shConfig, run.cfg, seed.accountIds);
   prepareOverview_(shOverview);
+  writeOverviewConfigSummary_(shOverview, configCounts);
+  Logger.log('⚙️  Config rows (valid & included): ' + run.cfg.rows.length + ', rows with issues: ' + configCounts.issues);
+  if (!run.cfg.rows.length) { Logger.log('ℹ️  Fill Config (budget + TRUE) and re-run.'); return; }
+
+  var checkpoint = loadCheckpoint_(run.runDate);
+  var pending = run.ids.filter(function(id){ return !checkpoint[id]; });
+  if (!pending.length) { finishRun_(run, checkpoint, {}); return; } // collected earlier today, Overview still missing
+
+  var batch = pending.slice(0, PARALLEL_BATCH_SIZE);
+  Logger.log('🔀 Collecting ' + batch.length + ' of ' + pending.length + ' pending account(s) in parallel…' +
+    (pending.length < run.ids.length ? ' (resuming: ' + (run.ids.length - pending.length) + ' already done today)' : ''));
+
+  var input = buildCollectInput_(run, batch, openHistory_(ss));
+  MccApp.accounts().withIds(batch).executeInParallel('collectAccount', 'writeCollectedAccounts', JSON.stringify(input));
+}
+
+/** collectAccount's input for the given account IDs; must run with the MCC selected. */
+function buildCollectInput_(run, ids, history) {
+  var today = parseDate_(run.runDate);
+  var hardCapState = loadJsonProperty_(PROP.HARD_CAP_STATE);
+  var marks = loadDailyMarks_(run.runDate);
+  var input = { isPreview: run.isPreview, managers: getManagerNames_(), accounts: {} };
+  ids.forEach(function(id){
+    input.accounts[id] = {
+      config: serializeConfigRow_(run.cfg.index[id]),
+      groups: run.groups[id] || [],
+      hardCapPausedFor: hardCapState[id] || '',
+      closeouts: pendingCloseouts_(history, id, today),
+      schedule: run.schedule[id] || {},
+      rolloverCaps: run.cfg.index[id].rollover ? historyCapsByPeriod_(history, id) : null,
+      autoAdjustedToday: !!marks.autoAdjusted[id]
+    };
+  });
+  return input;
+}
+
+/**
+ * Spreadsheet state shared by main() and the parallel callback. The callback runs without main()'s
+ * locals, so it re-reads everything from here instead.
+ */
+function loadRunContext_() {
+  var tz = getTz_();
+  var ss = getUserSpreadsheet_();
+  var schedule = readBudgetSchedule_(getOrCreateSheet_(ss, 'Budget Schedule'), tz);
+  var months   = upcomingMonthKeys_(new Date(), tz, 2); // [this month, next month]
+  var groups   = readBudgetGroups_(ensureBudgetGroupsSheet_(ss));
+  var cfg      = readConfig_(getOrCreateSheet_(ss, 'Config'), schedule, months[0], groups);
+  return {
+    tz: tz,
+    isPreview: AdWordsApp.getExecutionInfo().isPreview(),
+    ss: ss,
+    shOverview: getOrCreateSheet_(ss, 'Overview'),
+    schedule: schedule,
+    months: months,
+    groups: groups,
+    cfg: cfg,
+    ids: cfg.rows.map(function(r){ return r.accountId; }),
+    clients: {}, // accountId → { ss, owned } (CLIENT_SPREADSHEETS)
+    runDate: Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd')
+  };
+}
 
-  var cfg = readConfig_(shConfig);
-  Logger.log('⚙️  Config rows (valid & included): ' + cfg.rows.length);
-  if (!cfg.rows.length) { Logger.log('ℹ️  Fill Config (budget + TRUE) and re-run.'); return; }
+/* ========================= Parallel Collection ========================= */
+
+/**
+ * executeInParallel worker (no trailing underscore: it is called by name). Runs inside one client
+ * account, reads everything the sheets need and returns it as JSON; dates travel as 'yyyy-MM-dd'.
+ * Hard cap and auto-adjust act here because they need the account selected.
+ */
+function collectAccount(inputJson) {
+  var input   = JSON.parse(inputJson);
+  var account = AdsApp.currentAccount();
+  var acctId  = account.getCustomerId().replace(/-/g,'');
+  var job     = input.accounts[acctId];
+  var rowCfg  = reviveConfigRow_(job.config);
+
+  var tz      = account.getTimeZone(); // Ads reports cost by day in the account's own zone
+  var budget  = (rowCfg.period.type === 'MONTH') ? localMonthBudget_(rowCfg, job, tz) : { cap: rowCfg.monthlyBudget, source: rowCfg.budgetSource };
+
+  var out = {
+    accountId: acctId,
+    accountName: account.getName(),
+    currency: account.getCurrencyCode(),
+    tz: tz,
+    asOf: Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd HH:mm'),
+    budgetCap: budget.cap,
+    budgetSource: budget.source,
+    fromBudgetOrder: false,
+    orderCheck: '',
+    hardCapAudit: [],
+    budgetChanges: [],
+    groups: [],
+    closeouts: []
+  };
+  var period = rowCfg.period;
+
+  if (USE_BUDGET_ORDERS) {
+    var order = getActiveBudgetOrder_(tz);
+    if (order) {
+      out.budgetCap       = order.limit;
+      out.budgetSource    = 'Budget order "' + order.name + '"';
+      out.fromBudgetOrder = true;
+      out.orderCheck      = compareBudgetOrder_(rowCfg.configBudget, order.limit);
+      period = { type: 'CUSTOM', start: order.start, end: order.end };
+    }
+  }
+  var pCtx = periodMeta_(new Date(), tz, period);
+
+  // Before the budget check, so campaigns paused last period resume even if the budget was cleared since.
+  out.hardCapPausedFor = job.hardCapPausedFor;
+  if (job.hardCapPausedFor && job.hardCapPausedFor !== pCtx.key) {
+    var resumed = resumeHardCap_(out.accountName, acctId, job.hardCapPausedFor, input.isPreview);
+    out.hardCapAudit = resumed.rows;
+    out.hardCapPausedFor = resumed.pausedFor;
+  }
 
-  var ids = cfg.rows.map(function(r){return r.accountId;});
-  Logger.log('🔀 Processing ' + ids.length + ' account(s) in chunks of 50…');
+  var metricGoal = rowCfg.metric !== 'COST';
+  if (!(out.budgetCap > 0) && !metricGoal) {
+    out.skipped = 'No budget (Config, schedule or budget order)';
+    return JSON.stringify(out);
+  }
+  if (job.rolloverCaps && !out.fromBudgetOrder && out.budgetCap > 0) {
+    out.rollover = computeRollover_(out.budgetCap, previousPeriodCap_(job, rowCfg, tz), rowCfg.rolloverLimit);
+    out.budgetCap = out.rollover.effective;
+    out.budgetSource += ' + rollover';
+  }
+
+  if (PACE_COMPLETED_DAYS_ONLY) excludeToday_(pCtx);
+  var daily    = getDailySpend_(pCtx);
+  var spendMtd = sumCost_(daily);
+  out.intraday = getIntradayProjection_(tz);
+
+  // The cap is checked against real spend, today's partial day included.
+  var capSpend = spendMtd + (pCtx.completedOnly && out.intraday ? out.intraday.spendSoFar : 0);
+  var hardCap = enforceHardCap_(out.accountName, acctId, capSpend, out.budgetCap, rowCfg.pauseAtPct, pCtx.key,
+    out.hardCapPausedFor, input.isPreview);
+  out.hardCapAudit = out.hardCapAudit.concat(hardCap.rows);
+  out.hardCapPausedFor = hardCap.pausedFor;
+
+  out.metric = 'COST';
+  if (out.budgetCap > 0) {
+    var perDay   = buildPerDayRows_(daily, out.budgetCap, pCtx);
+    var forecast = runForecast_(rowCfg.forecastModel, perDay, pCtx, spendMtd, getDailySpendBetween_);
+    var pacing   = computePacing_(out.budgetCap, spendMtd, pCtx, forecast, perDay);
+
+    if (rowCfg.autoAdjust && job.autoAdjustedToday) {
+      Logger.log('ℹ️  ' + out.accountName + ': budgets already auto-adjusted today, leaving them as is.');
+    } else if (rowCfg.autoAdjust) {
+      var dryRun = AUTO_ADJUST_DRY_RUN || input.isPreview;
+      out.budgetChanges = adjustCampaignBudgets_(out.accountName, acctId, pacing.recDaily, dryRun);
+      out.autoAdjusted = !dryRun;
+    }
+    out.perDay   = serializePerDay_(perDay);
+    out.forecast = slimForecast_(forecast);
+    out.pacing   = pacing;
+  }
+  if (metricGoal) {
+    // With a spend cap the goal gets its own row/tab; without one it is the account's pacing.
+    var goal = collectMetricGoal_(rowCfg, pCtx, spendMtd, out.budgetCap);
+    out.cpa = goal.cpa;
+    if (out.budgetCap > 0) {
+      out.groups.push(goal);
+    } else {
+      out.metric       = goal.metric;
+      out.budgetSource = goal.budgetSource;
+      out.perDay       = goal.perDay;
+      out.forecast     = goal.forecast;
+      out.pacing       = goal.pacing;
+      out.intraday     = null; // hourly spend, not the metric
+    }
+  }
 
-  var overviewRows = [];
-  var accountSheetNames = [];
-  var totals = { processed:0, skipped:0, errors:0 };
+  out.subManager = getSubManager_(input.managers);
+  out.pCtx     = serializePeriodCtx_(pCtx);
+  out.groups   = out.groups.concat(job.groups.map(function(g){ return collectBudgetGroup_(g, pCtx, rowCfg); }));
+  out.closeouts = job.closeouts.map(function(c){
+    return { key: c.key, finalSpend: getSpendBetween_(c.start, c.end) };
+  });
+  return JSON.stringify(out);
+}
 
-  for (var i=0; i<ids.length; i+=50) {
-    var it = MccApp.accounts().withIds(ids.slice(i, i+50)).get();
+/** executeInParallel callback: writes and checkpoints the batch and the rest while time lasts, then calls finishRun_. */
+function writeCollectedAccounts(results) {
+  var run = loadRunContext_();
+  run.owned = indexOwnedTabs_(run.ss);
+  var checkpoint = loadCheckpoint_(run.runDate);
+  var history = openHistory_(run.ss);
+  var acc = { budgetChanges: [], hardCapAudit: [], totals: { processed:0, skipped:0, errors:0 } };
+
+  // Same batch main() dispatched; IDs the MCC did not return would otherwise stay pending forever.
+  var dispatched = run.ids.filter(function(id){ return !checkpoint[id]; }).slice(0, PARALLEL_BATCH_SIZE);
+  var collected = results.map(function(result){
+    var acctId = result.getCustomerId().replace(/-/g,'');
+    if (result.getStatus() !== 'OK') return { accountId: acctId, error: result.getStatus() + ': ' + result.getError() };
+    return JSON.parse(result.getReturnValue());
+  });
+  var outOfTime = !writeCollectedBatch_(run, collected, dispatched, checkpoint, history, acc);
+
+  // Accounts past the parallel batch are collected one at a time while there is time left, so a
+  // daily run still covers MCCs with more than PARALLEL_BATCH_SIZE included accounts.
+  var rest = run.ids.filter(function(id){ return !checkpoint[id]; });
+  if (!outOfTime && rest.length) {
+    Logger.log('🔁 Collecting ' + rest.length + ' remaining account(s) one at a time…');
+    var input = JSON.stringify(buildCollectInput_(run, rest, history));
+    var mcc = AdsApp.currentAccount();
+    var it = MccApp.accounts().withIds(rest).get();
     while (it.hasNext()) {
-      var acct = it.next();
-      var acctId = acct.getCustomerId().replace(/-/g,'');
-      var rowCfg = cfg.index[acctId];
-      if (!rowCfg) { totals.skipped++; continue; }
+      if (AdsApp.getExecutionInfo().getRemainingTime() < CHECKPOINT_SAFETY_SECONDS) { outOfTime = true; break; }
+      var account = it.next();
+      var acctId = account.getCustomerId().replace(/-/g,'');
+      var data;
+      MccApp.select(account);
+      try { data = JSON.parse(collectAccount(input)); }
+      catch (e) { data = { accountId: acctId, error: '' + e }; }
+      MccApp.select(mcc);
+      if (!writeCollectedBatch_(run, [data], [acctId], checkpoint, history, acc)) { outOfTime = true; break; }
+    }
+    if (!outOfTime) writeCollectedBatch_(run, [], rest, checkpoint, history, acc);
+  }
+
+  appendBudgetChanges_(run.ss, acc.budgetChanges);
+  appendHardCapAudit_(run.ss, acc.hardCapAudit);
+  flushHistory_(history);
+  if (outOfTime) Logger.log('⏱️  Stopping before the time limit; unwritten accounts are collected again next run.');
+
+  finishRun_(run, checkpoint, acc.totals);
+}
+
+/**
+ * Writes and checkpoints collected accounts; IDs in `expected` without a result are recorded as errors.
+ * Returns false when it stopped for the time limit.
+ */
+function writeCollectedBatch_(run, collected, expected, checkpoint, history, acc) {
+  // Changes already happened in the accounts, so their audit rows are kept even if time runs out.
+  collected.forEach(function(data){
+    acc.budgetChanges = acc.budgetChanges.concat(reviveTimestamps_(data.budgetChanges));
+    acc.hardCapAudit  = acc.hardCapAudit.concat(reviveTimestamps_(data.hardCapAudit));
+  });
+  if (!run.isPreview) {
+    saveHardCapState_(collected);
+    markDaily_(run.runDate, 'autoAdjusted', collected.filter(function(d){ return d.autoAdjusted; }).map(function(d){ return d.accountId; }));
+  }
+
+  var subManagers = {};
+  collected.forEach(function(data){ if (data.subManager !== undefined) subManagers[data.accountId] = data.subManager; });
+  if (Object.keys(subManagers).length) writeConfigColumn_(getOrCreateSheet_(run.ss, 'Config'), CONFIG_COL.SUB_MANAGER, subManagers);
 
+  var returned = {};
+  collected.forEach(function(data){ returned[data.accountId] = true; });
+  expected.forEach(function(id){
+    if (!returned[id] && !checkpoint[id]) collected.push({ accountId: id, error: 'Not returned by the MCC (check the account ID / access)' });
+  });
+
+  for (var i=0; i<collected.length; i++) {
+    if (AdsApp.getExecutionInfo().getRemainingTime() < CHECKPOINT_SAFETY_SECONDS) return false;
+    var data = collected[i];
+    var acctSummaries = [];
+    if (data.skipped) {
+      Logger.log('ℹ️  ' + data.skipped + ', skipping: ' + data.accountId);
+      acc.totals.skipped++;
+    } else {
       try {
-        MccApp.select(acct);
-
-        var currency  = AdsApp.currentAccount().getCurrencyCode();
-        var acctName  = acct.getName();
-        var budgetCap = rowCfg.monthlyBudget;
-        var spendMtd  = AdsApp.currentAccount().getStatsFor('THIS_MONTH').getCost();
-        var mCtx      = monthMeta_(new Date(), tz);
-        var availRem  = Math.max(budgetCap - spendMtd, 0);
-
-        var dailyActuals = getDailySpendThisMonth_();
-        var perDayBase   = buildPerDayRows_(dailyActuals, budgetCap, mCtx);
-
-        var wmaDaily = computeWmaDaily_(perDayBase, mCtx.daysElapsed, WMA_WINDOW_DAYS);
-        var perDay   = applyWmaForecast_(perDayBase, mCtx, spendMtd, wmaDaily);
-
-        var tabName = makeAccountTabName_(acctName, acctId);
-        var sh = getOrCreateSheet_(ss, tabName);
-        writeAccountSheet_(sh, {
-          accountName: acctName,
-          accountId: acctId,
-          currency: currency,
-          monthlyBudget: budgetCap,
-          spendMtd: spendMtd,
-          availableRemaining: availRem,
-          daysInMonth: mCtx.daysInMonth,
-          daysElapsed: mCtx.daysElapsed,
-          perDay: perDay,
-          tz: tz,
-          updatedAt: new Date(),
-          wmaDaily: wmaDaily
-        });
-        accountSheetNames.push(tabName);
-
-        var targetToDate   = budgetCap * (mCtx.daysElapsed / mCtx.daysInMonth);
-        var paceVsTarget   = spendMtd - targetToDate;
-        var pctBudgetSpent = budgetCap > 0 ? (spendMtd / budgetCap) : 0;
-
-        var remainingDays  = Math.max(mCtx.daysInMonth - mCtx.daysElapsed, 0);
-        var projectedEom   = spendMtd + wmaDaily * remainingDays;
-
-        var recDaily = remainingDays > 0 ? Math.max((budgetCap - spendMtd) / remainingDays, 0) : 0;
-
-        var paceDeltaPct = targetToDate > 0 ? (spendMtd / targetToDate) - 1 : 0;
-        var trendText    = trendLabel_(paceDeltaPct);
-        var link = '=HYPERLINK("' + ss.getUrl() + '#gid=' + sh.getSheetId() + '","Open")';
-
-        overviewRows.push([
-          acctName, acctId, link,
-          budgetCap, spendMtd,
-          '', // SPARKLINE added after write
-          trendText,
-          paceDeltaPct,
-          availRem,
-          mCtx.daysInMonth, mCtx.daysElapsed,
-          targetToDate,
-          paceVsTarget,
-          pctBudgetSpent,
-          projectedEom,
-          recDaily,
-          currency
-        ]);
-
-        totals.processed++;
+        if (data.error) throw data.error;
+        acctSummaries = writeCollectedAccount_(run, data, history);
+        acc.totals.processed++;
       } catch (e) {
-        Logger.log('❌ Error processing ' + acctId + ': ' + e);
-        totals.errors++;
+        Logger.log('❌ Error processing ' + data.accountId + ': ' + e);
+        acctSummaries = [errorSummary_(run, data.accountId, '' + e)];
+        acc.totals.errors++;
       }
     }
+    // Failed and skipped accounts are checkpointed too, so they cannot hold back the Overview.
+    checkpoint[data.accountId] = acctSummaries;
+    if (!run.isPreview) saveCheckpoint_(data.accountId, acctSummaries);
+  }
+  return true;
+}
+
+/** Writes one account's tab (and its budget group tabs) from collected data; returns its summaries. */
+function writeCollectedAccount_(run, data, history) {
+  var rowCfg = run.cfg.index[data.accountId];
+  var pCtx = revivePeriodCtx_(data.pCtx);
+  var tab = writePacingTab_(run, data.accountId, data.accountName, data.accountName, data.accountId, data.currency,
+    data.budgetSource, data, pCtx);
+
+  var summary = buildSummary_({
+    key: data.accountId,
+    accountName: data.accountName,
+    accountId: data.accountId,
+    tabName: tab.name,
+    sheetUrl: tab.url,
+    currency: data.currency,
+    periodLabel: pCtx.label,
+    scheduleCheck: (data.fromBudgetOrder || data.metric !== 'COST') ? '' : checkNextMonthBudget_(rowCfg, run.schedule, pCtx.tz),
+    orderCheck: data.orderCheck,
+    alertEmails: rowCfg.alertEmails,
+    webhookUrls: rowCfg.webhookUrls,
+    thresholds: rowCfg.thresholds,
+    subManager: data.subManager || rowCfg.subManager,
+    accountLabels: rowCfg.accountLabels,
+    carried: data.rollover ? data.rollover.carried : 0,
+    tz: pCtx.tz,
+    asOf: data.asOf,
+    metric: data.metric,
+    cpa: data.cpa,
+    refreshedAt: Utilities.formatDate(new Date(), run.tz, 'yyyy-MM-dd HH:mm')
+  }, data.pacing, data.forecast);
+  var acctSummaries = [summary];
+
+  if (data.metric === 'COST') recordHistory_(history, summary, pCtx); // History and closeouts are spend only
+  data.closeouts.forEach(function(c){ scoreCloseout_(history, data.accountId, data.accountName, c, pCtx.today); });
+
+  data.groups.forEach(function(g){
+    var gTab = writePacingTab_(run, data.accountId + ':' + g.label, data.accountName + ' - ' + g.label,
+      data.accountName + ' › ' + g.label, data.accountId, data.currency, g.budgetSource || 'Budget Groups (label "' + g.label + '")', g, pCtx);
+    acctSummaries.push(buildSummary_({
+      key: data.accountId + ':' + g.label,
+      accountName: data.accountName,
+      accountId: data.accountId,
+      groupLabel: g.label,
+      tabName: gTab.name,
+      sheetUrl: gTab.url,
+      currency: data.currency,
+      periodLabel: pCtx.label,
+      scheduleCheck: '',
+      alertEmails: rowCfg.alertEmails,
+      webhookUrls: rowCfg.webhookUrls,
+      thresholds: rowCfg.thresholds,
+      subManager: data.subManager || rowCfg.subManager,
+      accountLabels: rowCfg.accountLabels,
+      tz: pCtx.tz,
+      asOf: data.asOf,
+      metric: g.metric || 'COST',
+      cpa: g.cpa,
+      refreshedAt: Utilities.formatDate(new Date(), run.tz, 'yyyy-MM-dd HH:mm')
+    }, g.pacing, g.forecast));
+  });
+  if (CLIENT_SPREADSHEETS) { // e.g. a budget group removed since the last run
+    var client = run.clients[data.accountId];
+    cleanupOrphanTabs_(client.ss, client.owned, acctSummaries, run.isPreview);
+  }
+  return acctSummaries;
+}
+
+/** item: collected account or budget group ({ perDay, forecast, pacing }). Returns the tab { name, url }. */
+function writePacingTab_(run, key, tabTitle, title, acctId, currency, budgetSource, item, pCtx) {
+  var target = CLIENT_SPREADSHEETS ? getClientSpreadsheet_(run, acctId, title, pCtx.tz) : { ss: run.ss, owned: run.owned };
+  var sh = getAccountTab_(target.ss, target.owned, key, makeAccountTabName_(tabTitle, acctId));
+  var tabName = sh.getName();
+  writeAccountSheet_(sh, {
+    accountName: title,
+    accountId: acctId,
+    currency: currency,
+    monthlyBudget: item.pacing.budgetCap,
+    budgetSource: budgetSource,
+    spendMtd: item.pacing.spendMtd,
+    availableRemaining: item.pacing.availableRemaining,
+    daysInPeriod: pCtx.daysInPeriod,
+    daysElapsed: pCtx.daysElapsed,
+    periodLabel: pCtx.label,
+    perDay: revivePerDay_(item.perDay),
+    tz: pCtx.tz,
+    updatedAt: new Date(),
+    forecast: item.forecast,
+    thresholds: run.cfg.index[acctId].thresholds,
+    rollover: item.rollover,
+    intraday: item.intraday,
+    metric: item.metric || 'COST'
+  });
+  return { name: tabName, url: target.ss.getUrl() + '#gid=' + sh.getSheetId() };
+}
+
+/** Overview row for an account whose collection or write failed. */
+function errorSummary_(run, acctId, message) {
+  var rowCfg = run.cfg.index[acctId] || {};
+  return {
+    key: acctId,
+    accountName: rowCfg.accountName || acctId,
+    accountId: acctId,
+    subManager: rowCfg.subManager,
+    accountLabels: rowCfg.accountLabels,
+    error: message,
+    refreshedAt: Utilities.formatDate(new Date(), run.tz, 'yyyy-MM-dd HH:mm')
+  };
+}
+
+/** Overview, FX, sheet order and alerts once every included account is checkpointed for today. */
+function finishRun_(run, checkpoint, totals) {
+  var remaining = run.ids.filter(function(id){ return !checkpoint[id]; }).length;
+  if (remaining) {
+    totals.remaining = remaining;
+    Logger.log('⏭️  ' + remaining + ' account(s) left for the next run today. Overview left as is.');
+    bannerLog_('END RUN (PARTIAL)', totals);
+    return;
+  }
+
+  var summaries = [];
+  run.ids.forEach(function(id){ summaries = summaries.concat(checkpoint[id] || []); });
+
+  var fxRates = syncFxRates_(run.ss, summaries.map(function(s){ return s.currency; }));
+  summaries.forEach(function(s){ applyFx_(s, fxRates); });
+
+  prepareOverview_(run.shOverview);
+  writeOverview_(run.shOverview, buildOverviewRows_(summaries), buildPortfolioBlock_(summaries));
+
+  var owned = run.owned || indexOwnedTabs_(run.ss);
+  if (CLIENT_SPREADSHEETS) {
+    // Account tabs now live in the client spreadsheets; only failed accounts keep theirs here.
+    totals.orphanTabs = cleanupOrphanTabs_(run.ss, owned, summaries.filter(function(s){ return s.error; }), run.isPreview);
+  } else {
+    totals.orphanTabs = cleanupOrphanTabs_(run.ss, owned, summaries, run.isPreview);
+    orderClientSheetsByName_(run.ss, run.shOverview, summaries.map(function(s){ return owned.sheets[s.key]; }).filter(Boolean));
   }
 
-  writeOverview_(shOverview, overviewRows);
-  orderClientSheetsByName_(ss, shOverview, accountSheetNames);
+  var alerts = sendAlertDigest_(summaries, run.isPreview);
+  totals.alerts = alerts.accounts;
+  totals.alertEmails = alerts.emailsSent;
+  totals.webhooks = sendWebhooks_(summaries, run.ss.getUrl() + '#gid=' + run.shOverview.getSheetId(), run.runDate, run.isPreview);
 
+  // Includes failures checkpointed by earlier runs today.
+  var failed = summaries.filter(function(s){ return s.error; });
+  if (failed.length) {
+    totals.failed = failed.map(function(s){ return s.accountName + ' (' + s.accountId + '): ' + s.error; }).join(' | ');
+  }
+
+  if (!run.isPreview) clearCheckpoint_(); // next run starts fresh
   bannerLog_('END RUN', totals);
 }
 
+/** Config entry → JSON-safe copy (period dates as 'yyyy-MM-dd'). */
+function serializeConfigRow_(rowCfg) {
+  var copy = JSON.parse(JSON.stringify(rowCfg));
+  if (rowCfg.period.type === 'CUSTOM') {
+    copy.period.start = ymd_(rowCfg.period.start);
+    copy.period.end   = ymd_(rowCfg.period.end);
+  }
+  return copy;
+}
+
+function reviveConfigRow_(rowCfg) {
+  if (rowCfg.period.type === 'CUSTOM') {
+    rowCfg.period.start = parseDate_(rowCfg.period.start);
+    rowCfg.period.end   = parseDate_(rowCfg.period.end);
+  }
+  return rowCfg;
+}
+
+function serializePeriodCtx_(pCtx) {
+  var copy = {};
+  for (var k in pCtx) if (pCtx.hasOwnProperty(k)) copy[k] = (pCtx[k] instanceof Date) ? ymd_(pCtx[k]) : pCtx[k];
+  return copy;
+}
+
+function revivePeriodCtx_(p) {
+  p.start = parseDate_(p.start);
+  p.end   = parseDate_(p.end);
+  p.today = parseDate_(p.today);
+  return p;
+}
+
+function serializePerDay_(perDay) {
+  return perDay.map(function(r){
+    var copy = {};
+    for (var k in r) if (r.hasOwnProperty(k)) copy[k] = r[k];
+    copy.date = ymd_(r.date);
+    return copy;
+  });
+}
+
+function revivePerDay_(perDay) {
+  return perDay.map(function(r){ r.date = parseDate_(r.date); return r; });
+}
+
+/** Only what the sheets and summaries read; the daily series is already folded into perDay. */
+function slimForecast_(forecast) {
+  return { model: forecast.model, label: forecast.label, dailyAvg: forecast.dailyAvg, projectedEom: forecast.projectedEom };
+}
+
+/** Audit rows start with a timestamp, which JSON turned into an ISO string. */
+function reviveTimestamps_(rows) {
+  return (rows || []).map(function(r){ r[0] = new Date(r[0]); return r; });
+}
+
+/* ========================= Checkpoints ========================= */
+
+/** { accountId: [summaries] } finished earlier on runDate; older checkpoints are discarded. */
+function loadCheckpoint_(runDate) {
+  var props = PropertiesService.getScriptProperties();
+  if (props.getProperty(PROP.CHECKPOINT_DATE) !== runDate) {
+    clearCheckpoint_();
+    props.setProperty(PROP.CHECKPOINT_DATE, runDate);
+    return {};
+  }
+  var out = {};
+  var all = props.getProperties();
+  for (var k in all) {
+    if (!all.hasOwnProperty(k) || k.indexOf(PROP.CHECKPOINT_PREFIX) !== 0) continue;
+    try { out[k.substring(PROP.CHECKPOINT_PREFIX.length)] = JSON.parse(all[k]); }
+    catch (e) { Logger.log('⚠️  Unreadable checkpoint ' + k + ', account will be re-processed.'); }
+  }
+  return out;
+}
+
+function saveCheckpoint_(acctId, summaries) {
+  try {
+    PropertiesService.getScriptProperties().setProperty(PROP.CHECKPOINT_PREFIX + acctId, JSON.stringify(summaries));
+  } catch (e) {
+    Logger.log('⚠️  Could not checkpoint ' + acctId + ' (' + e + '); it will be re-processed if the run is resumed.');
+  }
+}
+
+function clearCheckpoint_() {
+  var props = PropertiesService.getScriptProperties();
+  props.getKeys().forEach(function(k){
+    if (k.indexOf(PROP.CHECKPOINT_PREFIX) === 0) props.deleteProperty(k);
+  });
+  props.deleteProperty(PROP.CHECKPOINT_DATE);
+}
+
+/** { date, autoAdjusted: { accountId: true } } for runDate; older marks are dropped. */
+function loadDailyMarks_(runDate) {
+  var marks = loadJsonProperty_(PROP.DAILY_MARKS);
+  return marks.date === runDate ? marks : { date: runDate, autoAdjusted: {} };
+}
+
+function markDaily_(runDate, kind, ids) {
+  if (!ids.length) return;
+  var marks = loadDailyMarks_(runDate);
+  ids.forEach(function(id){ marks[kind][id] = true; });
+  saveJsonProperty_(PROP.DAILY_MARKS, marks);
+}
+
 /* ========================= Time Zone Helper ========================= */
 
 function getTz_() {
@@ -247,12 +893,50 @@ function writeInstructions_(sheet, tz) {
     ['Budget Pacing — Instructions', ''],
     ['', ''],
     ['Step 1', 'Use the "Config" tab (between Instructions and Overview). Paste Account IDs, set budgets.'],
-    ['Step 2', 'Include defaults to TRUE. Set to FALSE to exclude an account.'],
+    ['Step 2', 'Include defaults to TRUE (checked). Uncheck to exclude an account.'],
     ['Step 3', 'Budgets are numeric (no $/€). Currency is taken from each Ads account.'],
+    ['Budget Groups', 'Optional: pace campaign-label budgets (e.g. Brand / Non-Brand) in "Budget Groups". Each group gets its own tab and a child row under its account on the Overview. ' +
+      'Leave the account budget blank to use the groups\' total; a different budget is flagged in "Config Status".'],
+    ['Budget Schedule', 'Optional: enter month-by-month budgets (YYYY-MM columns) in "Budget Schedule". They override the Config budget for calendar-month accounts.'],
     ['Step 4', 'Re-run the script from the MCC. Overview and account tabs will refresh.'],
+    ['Pacing Bands', 'On target = pace delta within ±' + Math.round(PACE_GREEN_BAND * 100) + '%, yellow up to ±' + Math.round(PACE_YELLOW_BAND * 100) + '%, red beyond. ' +
+      'Config band columns override this per account; the under-pace columns make it asymmetric. Labels, colors and alerts all use the same bands.'],
+    ['Config Status', 'Each run checks every Config row (bad or duplicate IDs, IDs not under this MCC, invalid or missing budgets) and writes the result to "Config Status"; problem rows are highlighted and counted at the top of the Overview.'],
     ['', ''],
-    ['Notes', 'Timezone used by this sheet: ' + tz + ' (change TIMEZONE at top). Window: THIS_MONTH.'],
-    ['Forecasting', 'Projected values use a weighted recent average of the last ' + WMA_WINDOW_DAYS + ' days (newer days weighted higher).']
+    ['Notes', 'Timezone used by this sheet: ' + tz + ' (change TIMEZONE at top). Window: calendar month unless the Config "Period Type" says otherwise.'],
+    ['Pacing Metrics', 'Config "Pacing Metric" + "Metric Target" pace an account on CONVERSIONS, CLICKS or IMPRESSIONS instead of spend. ' +
+      'With a budget as well, the spend cap keeps the account row and the metric goal gets its own row and tab (↳); CONVERSIONS show CPA to date vs. target CPA (budget / target).'],
+    ['Intraday', (PACE_COMPLETED_DAYS_ONLY ? 'Pacing uses completed days only; today\'s partial spend is not in Spend to Date or Days Elapsed. ' : '') +
+      'Account tabs compare today\'s spend so far with the account\'s typical hourly curve (last ' + INTRADAY_TRAINING_DAYS + ' days) and project end-of-day spend.'],
+    ['Time Zones', 'Each account is paced in its own Google Ads time zone (days elapsed, target to date, today\'s partial day), as costs are reported by day in that zone. ' +
+      'The Overview shows the zone and the local time the data was collected ("Local As Of").'],
+    ['Forecasting', 'Projected values use the ' + FORECAST_MODEL + ' model (' + (FORECAST_MODELS[FORECAST_MODEL] || FORECAST_MODELS.WMA).label + ') unless Config "Forecast Model" overrides it. ' +
+      'WMA = weighted recent average, EXP = exponential smoothing, DOW = weekday pattern, YOY = same period last year scaled.'],
+    ['Auto-Adjust', 'Accounts with "Auto-Adjust Budgets?" = TRUE get campaign budgets moved toward the recommended daily spend. ' +
+      (AUTO_ADJUST_DRY_RUN ? 'DRY RUN is on: proposals are written to "Budget Changes" only.' : 'Changes are applied at most once per account per day (preview runs never apply).')],
+    ['Hard Cap', 'Accounts with "Pause at % of Cap" set have their enabled campaigns paused and labelled "' + HARD_CAP_LABEL + '" at that % of the cap; they resume next period, even if the budget is cleared or Include is set to FALSE meanwhile. See "Hard Cap Audit".'],
+    ['Long Runs', 'Each run collects up to ' + PARALLEL_BATCH_SIZE + ' accounts in parallel, then the rest one at a time, and stops ' + CHECKPOINT_SAFETY_SECONDS + 's before the time limit. ' +
+      'The next run the same day resumes, so if runs log "Stopping before the time limit", schedule the script hourly. The Overview updates once every account is done; see "Last Refreshed".'],
+    ['Webhooks', 'After a full run, a summary (status changes, worst over/under pacers, Overview link) is posted to WEBHOOK_URLS and to each account\'s Config "Webhook URLs". ' +
+      'A URL that already got a post today is only posted again when one of its accounts changes status; preview runs only log the payloads. Slack, Teams and Google Chat URLs get their own card format; other URLs get ' + WEBHOOK_FORMAT + '.'],
+    ['Risk & Exhaustion', '"Exhaustion Date" is when the remaining budget runs out at the weighted recent daily spend; negative "Days Before/After" = before period end. ' +
+      '"Risk Score" (0–100) weighs pace delta, forecast overshoot and recent spend volatility' + (('' + OVERVIEW_SORT).toUpperCase() === 'RISK' ? '; the Overview lists the riskiest accounts first.' : '.')],
+    ['Client Spreadsheets', CLIENT_SPREADSHEETS
+      ? 'Each account is written to its own spreadsheet (linked from the Overview), shared view-only with its Config "Viewer Emails". Removing an email there removes its access.'
+      : 'Set CLIENT_SPREADSHEETS = true to give each account its own spreadsheet that can be shared with the client via Config "Viewer Emails".'],
+    ['Rollover', 'Accounts with "Rollover?" = TRUE pace against an effective cap: base budget plus last period\'s unspent amount (or minus its overspend), limited by "Rollover Limit". The account tab shows base, carried amount and effective cap.'],
+    ['Grouping', 'Config records each account\'s sub-manager and MCC account labels. ' +
+      (OVERVIEW_GROUP_BY ? 'The Overview is grouped by ' + OVERVIEW_GROUP_BY + ' with a subtotal row (▸) per group.' : 'Set OVERVIEW_GROUP_BY to group the Overview with subtotal rows.') +
+      (SEED_ACCOUNT_LABEL ? ' Only accounts labelled "' + SEED_ACCOUNT_LABEL + '" are added to Config.' : '')],
+    ['Account Tabs', 'Tabs are tracked by account ID and follow account renames. Tabs of accounts no longer paced are ' +
+      ({ ARCHIVE: 'hidden and prefixed "' + ARCHIVED_TAB_PREFIX + '" (restored if the account returns).', DELETE: 'deleted.' }[('' + ORPHAN_TAB_ACTION).toUpperCase()] || 'left as is.')],
+    ['Errors', 'Accounts that fail to load or write are listed in the Overview "Errors" column (row in red) and in the END RUN log.'],
+    ['History', 'Each run stores one row per account and day in "History". When a period ends, "Forecast Accuracy" compares the final spend with every earlier projected EoM.'],
+    ['Budget Orders', USE_BUDGET_ORDERS
+      ? 'USE_BUDGET_ORDERS is on: accounts with an active budget order pace against its spending limit and dates. Config differences show in "Budget Order Check".'
+      : 'Set USE_BUDGET_ORDERS = true at top to pace against each account\'s active budget order instead of Config.'],
+    ['Currency', 'Overview totals are converted to ' + REPORTING_CURRENCY + ' (REPORTING_CURRENCY at top) using "FX Rates". Enter a Manual Override there to pin a rate.'],
+    ['Alerts', 'Red/yellow pacing or a projected EoM above the cap is emailed to ALERT_EMAILS plus the Config "Alert Emails" column.']
   ];
   sheet.getRange(1,1,rows.length,2).setValues(rows);
   sheet.getRange(1,1).setFontWeight('bold').setFontSize(14);
@@ -265,6 +949,9 @@ function initializeConfigIfEmpty_(sheet) {
     sheet.getRange(1,1,1,CONFIG_HEADERS.length).setValues([CONFIG_HEADERS]);
     sheet.setFrozenRows(1);
     sheet.autoResizeColumns(1, CONFIG_HEADERS.length);
+  } else if (sheet.getLastColumn() < CONFIG_HEADERS.length) {
+    // Older sheets: new columns are only ever appended, so existing data stays aligned.
+    sheet.getRange(1,1,1,CONFIG_HEADERS.length).setValues([CONFIG_HEADERS]);
   }
   if (sheet.getLastRow() >= 2) {
     sheet.getRange(2,3,Math.max(1,sheet.getLastRow()-1),1).setNumberFormat('0.00');
@@ -275,8 +962,28 @@ function applyConfigHeaderNotes_(sheet) {
   var notes = [
     'Digits only (no dashes). Example: 5529798336',
     'Optional label; auto-updated from Google Ads when names change.',
-    'Numeric monthly budget in account currency. Example: 25000',
-    'Defaults to TRUE. Set FALSE to exclude from Overview.'
+    'Numeric budget for the pacing period (calendar month unless Period Type says otherwise), in account currency. Example: 25000',
+    'Defaults to TRUE. Set FALSE to exclude from Overview.',
+    'Optional. Extra alert recipients for this account, in addition to ALERT_EMAILS.',
+    'Defaults to FALSE. TRUE splits the Recommended Daily Spend across enabled campaign budgets (see AUTO_ADJUST_* at top).',
+    'Optional. e.g. 100 pauses enabled campaigns once spend reaches 100% of the cap; they resume next period. Blank = off.',
+    'Blank/MONTH = calendar month. QUARTER = calendar quarter. FLIGHT = monthly flight starting on the day of Period Start (e.g. 15th→14th). CUSTOM = Period Start → Period End.',
+    'Date (yyyy-mm-dd). FLIGHT: any date on the flight start day (or just the day number, 1–28). CUSTOM: first day.',
+    'Date (yyyy-mm-dd). CUSTOM only: last day of the period (inclusive).',
+    'Optional. WMA, EXP, DOW or YOY. Blank = FORECAST_MODEL at top of script.',
+    'Written by the script on every run: OK, Excluded, or the problems found in the row (row highlighted). Do not edit.',
+    'Optional. Pace delta (vs target to date) counted as on target, e.g. 5 = ±5%. Blank = PACE_GREEN_BAND.',
+    'Optional. Pace delta still yellow rather than red, e.g. 10 = ±10%. Must be wider than the green band. Blank = PACE_YELLOW_BAND.',
+    'Optional, asymmetric. Green band for UNDER-pacing only; the two columns before then apply to over-pacing.',
+    'Optional, asymmetric. Yellow band for UNDER-pacing only.',
+    'Optional. Extra incoming-webhook URLs (Slack, Teams, Google Chat) that get a summary of this account, in addition to WEBHOOK_URLS.',
+    'Written by the script: the manager account directly above this account. Used by OVERVIEW_GROUP_BY = SUB_MANAGER.',
+    'Written by the script: the account\'s MCC account labels. Used by OVERVIEW_GROUP_BY = LABEL and SEED_ACCOUNT_LABEL.',
+    'Defaults to FALSE. TRUE adds last period\'s unspent budget to this period\'s cap (or deducts its overspend). Not used with CUSTOM periods or budget orders.',
+    'Optional cap on the rollover adjustment, either way: an amount (e.g. 2000) or a % of the base budget (e.g. 25%). Blank = no limit.',
+    'Only with CLIENT_SPREADSHEETS = true. People who get view access to this account\'s own spreadsheet; anyone else with view access is removed.',
+    'Optional. COST (default), CONVERSIONS, CLICKS or IMPRESSIONS. Other metrics are paced against "Metric Target" on their own row/tab; with a budget set too, the spend cap is paced as well.',
+    'Target for the pacing metric over the period (e.g. 120 conversions). With CONVERSIONS and a budget, Target CPA = budget / target.'
   ];
   for (var c=0; c<CONFIG_HEADERS.length; c++) {
     sheet.getRange(1, c+1).setNote(notes[c]);
@@ -298,18 +1005,25 @@ function seedOrMergeConfigWithAccounts_(sheet) {
     }
   }
   var toAppend = [];
+  var accountIds = {};
+  var labels = {};
+  // Every account counts as found under the MCC; SEED_ACCOUNT_LABEL only limits which ones are appended.
+  var labelsById = accountLabelsById_();
   var it = MccApp.accounts().get();
   while (it.hasNext()) {
     var a = it.next();
     var id = a.getCustomerId().replace(/-/g,'');
     var name = a.getName();
+    var acctLabels = labelsById[id] || [];
+    accountIds[id] = true;
+    labels[id] = acctLabels.join(', ');
     if (map[id]) {
       if (name && map[id].name !== name) {
         sheet.getRange(map[id].rowIndex, 2).setValue(name);
         namesUpdated++;
       }
-    } else {
-      toAppend.push([id, name, '', true]); // include TRUE by default
+    } else if (!SEED_ACCOUNT_LABEL || acctLabels.indexOf(SEED_ACCOUNT_LABEL) !== -1) {
+      toAppend.push(newConfigRow_(id, name));
       map[id] = { rowIndex: null, name: name };
     }
   }
@@ -318,286 +1032,1884 @@ function seedOrMergeConfigWithAccounts_(sheet) {
     sheet.getRange(start, 1, toAppend.length, CONFIG_HEADERS.length).setValues(toAppend);
     sheet.getRange(start, 3, toAppend.length, 1).setNumberFormat('0.00');
   }
+  writeConfigColumn_(sheet, CONFIG_COL.LABELS, labels);
   sheet.autoResizeColumns(1, CONFIG_HEADERS.length);
-  return { added: toAppend.length, namesUpdated: namesUpdated, totalRows: sheet.getLastRow() - 1 };
+  return { added: toAppend.length, namesUpdated: namesUpdated, totalRows: sheet.getLastRow() - 1, accountIds: accountIds };
 }
 
-/* ========================= Overview ========================= */
-
-function prepareOverview_(sheet) {
-  sheet.clear();
-  sheet.getRange(1,1,1,OVERVIEW_HEADERS.length).setValues([OVERVIEW_HEADERS]);
-  sheet.setFrozenRows(1);
-  sheet.setFrozenColumns(3);
-  sheet.clearConditionalFormatRules();
+/** { customer ID: name } of every manager account in this MCC tree, itself included. */
+function getManagerNames_() {
+  var names = {};
+  try {
+    var rows = AdsApp.search('SELECT customer_client.id, customer_client.descriptive_name FROM customer_client WHERE customer_client.manager = TRUE');
+    while (rows.hasNext()) {
+      var c = rows.next().customerClient;
+      names[String(c.id)] = c.descriptiveName || String(c.id);
+    }
+  } catch (e) {
+    Logger.log('⚠️  Could not list manager accounts, Sub-Manager stays blank: ' + e);
+  }
+  return names;
 }
 
-function writeOverview_(sheet, rows) {
-  if (sheet.getLastRow() > 1) {
-    sheet.getRange(2,1,sheet.getLastRow()-1,sheet.getLastColumn()).clearContent();
+/** Must run with the account selected: name of its direct manager within this MCC tree, or ''. */
+function getSubManager_(managers) {
+  try {
+    var rows = AdsApp.search("SELECT customer_manager_link.manager_customer FROM customer_manager_link WHERE customer_manager_link.status = 'ACTIVE'");
+    while (rows.hasNext()) {
+      var id = rows.next().customerManagerLink.managerCustomer.split('/')[1];
+      if (managers[id]) return managers[id];
+    }
+  } catch (e) {
+    Logger.log('⚠️  Sub-manager lookup failed for ' + AdsApp.currentAccount().getCustomerId() + ': ' + e);
   }
-  if (rows.length) {
-    sheet.getRange(2,1,rows.length,OVERVIEW_HEADERS.length).setValues(rows);
+  return '';
+}
 
-    // SPARKLINE progress bar in F (green bar over colored background per status)
-    for (var i=0; i<rows.length; i++) {
-      var r = i + 2;
-      sheet.getRange(r, 6).setFormula(
-        '=SPARKLINE(E' + r + ', {"charttype","bar"; "max", D' + r + '; "color1","#2ecc71"; "color2","#eaf3ec"})'
-      );
+/** { account ID: [label names, sorted] }, one selector per MCC account label instead of one per account. */
+function accountLabelsById_() {
+  var byId = {};
+  var labels = MccApp.accountLabels().get();
+  while (labels.hasNext()) {
+    var label = labels.next();
+    var it = label.accounts().get();
+    while (it.hasNext()) {
+      var id = it.next().getCustomerId().replace(/-/g,'');
+      (byId[id] = byId[id] || []).push(label.getName());
     }
+  }
+  for (var k in byId) { if (byId.hasOwnProperty(k)) byId[k].sort(); }
+  return byId;
+}
+
+/** Sets column col (1-based) for the Config rows whose ID is a key of values; one read, one write. */
+function writeConfigColumn_(sheet, col, values) {
+  var n = sheet.getLastRow() - 1;
+  if (n < 1) return;
+  var ids = sheet.getRange(2, 1, n, 1).getValues();
+  var range = sheet.getRange(2, col, n, 1);
+  var cells = range.getValues();
+  var changed = false;
+  ids.forEach(function(r, i){
+    var id = (r[0] || '').toString().replace(/-/g,'').trim();
+    if (!values.hasOwnProperty(id) || cells[i][0] === values[id]) return;
+    cells[i][0] = values[id];
+    changed = true;
+  });
+  if (changed) range.setValues(cells);
+}
+
+/**
+ * Fills "Config Status" from cfg.checks (adding IDs not under this MCC), highlights problem rows
+ * and returns { paced, excluded, issues } for the Overview.
+ */
+function writeConfigStatus_(sheet, cfg, mccIds) {
+  var counts = { paced: cfg.rows.length, excluded: 0, issues: 0 };
+  if (!cfg.checks.length) return counts;
+
+  var statuses = cfg.checks.map(function(c){
+    if (!c) return [''];
+    if (/^\d+$/.test(c.accountId) && !mccIds[c.accountId]) c.issues.push('Not found under this MCC');
+    if (c.issues.length) { counts.issues++; return ['⚠️ ' + c.issues.join('; ')]; }
+    if (c.excluded) { counts.excluded++; return ['Excluded']; }
+    return ['OK'];
+  });
+  var col = CONFIG_COL.STATUS;
+  sheet.getRange(2, col, statuses.length, 1).setValues(statuses);
+
+  // Highlight once; keep any rules the user added themselves.
+  var letter = String.fromCharCode(64 + col);
+  var formula = '=LEFT($' + letter + '2,1)="⚠"';
+  var rules = sheet.getConditionalFormatRules();
+  var present = rules.some(function(r){
+    var cond = r.getBooleanCondition();
+    return cond && cond.getCriteriaValues()[0] === formula;
+  });
+  if (!present) {
+    rules.push(SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied(formula).setBackground('#FADBD8').setFontColor('#922B21')
+      .setRanges([sheet.getRange('A2:' + letter)]).build());
+    sheet.setConditionalFormatRules(rules);
+  }
+  return counts;
+}
+
+/** Include = checkboxes (blank → TRUE, the default), budgets = numbers >= 0 only. */
+function applyConfigValidation_(sheet) {
+  sheet.getRange(2, 3, Math.max(sheet.getMaxRows() - 1, 1), 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireNumberGreaterThanOrEqualTo(0).setAllowInvalid(false)
+      .setHelpText('Budget must be a number >= 0.').build());
+
+  var n = sheet.getLastRow() - 1;
+  if (n < 1) return;
+  var range = sheet.getRange(2, 1, n, 4);
+  var include = range.getValues().map(function(r){
+    if (r[3] === true || r[3] === false) return [r[3]];
+    if (!r[0]) return [''];
+    return [('' + r[3]).trim().toUpperCase() !== 'FALSE'];
+  });
+  sheet.getRange(2, 4, n, 1).setValues(include).setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
+}
 
-    // Formats
-    [4,5,9,12,13,15,16].forEach(function(c){ sheet.getRange(2,c,rows.length,1).setNumberFormat('0.00'); });
-    sheet.getRange(2,8,rows.length,1).setNumberFormat('0.00%');  // pace delta %
-    sheet.getRange(2,14,rows.length,1).setNumberFormat('0.00%'); // % budget spent
+function newConfigRow_(id, name) {
+  var row = CONFIG_HEADERS.map(function(){ return ''; });
+  row[0] = id;
+  row[1] = name;
+  row[3] = true; // include TRUE by default
+  return row;
+}
+
+/** Developer metadata value stored on a sheet under key, or null. */
+function getSheetMeta_(sheet, key) {
+  var found = sheet.createDeveloperMetadataFinder().withKey(key).find();
+  return found.length ? found[0].getValue() : null;
+}
+
+function setSheetMeta_(sheet, key, value) {
+  var found = sheet.createDeveloperMetadataFinder().withKey(key).find();
+  if (found.length) found[0].setValue(value);
+  else sheet.addDeveloperMetadata(key, value);
+}
+
+function removeSheetMeta_(sheet, key) {
+  sheet.createDeveloperMetadataFinder().withKey(key).find().forEach(function(md){ md.remove(); });
+}
 
-    // Column widths
-    var widths = [200,135,110,120,120,150,130,130,150,110,110,160,140,150,160,190,120];
-    for (var c=1;c<=widths.length;c++) sheet.setColumnWidth(c, widths[c-1]);
+/** Widths for columns 1..n; runs of equal widths go out as one call. */
+function setColumnWidths_(sheet, widths) {
+  for (var c=0; c<widths.length; ) {
+    var n = 1;
+    while (c + n < widths.length && widths[c + n] === widths[c]) n++;
+    sheet.setColumnWidths(c + 1, n, widths[c]);
+    c += n;
   }
+}
+
+/* ========================= Overview ========================= */
+
+/** Header, widths and conditional rules; only (re)built when missing or LAYOUT_VERSION changed. */
+function prepareOverview_(sheet) {
+  var layoutKey = LAYOUT_VERSION + '|' + OVERVIEW_HEADERS.length;
+  if (getSheetMeta_(sheet, META.LAYOUT) === layoutKey) return;
+
+  sheet.clear();
+  sheet.clearConditionalFormatRules();
+  sheet.getRange(OVERVIEW_FIRST_ROW-1,1,1,OVERVIEW_HEADERS.length).setValues([OVERVIEW_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(OVERVIEW_FIRST_ROW-1);
+  sheet.setFrozenColumns(3);
+  setColumnWidths_(sheet, [200,135,110,120,120,150,130,130,150,110,110,160,140,150,160,190,120,190,220,120,150,160,190,190,260,140,320,110,130,150,100,170,130,120,110,110]);
 
-  // Conditional formatting
+  // Conditional formatting on open-ended ranges, so the table can grow without a rebuild
   var rules = [];
 
+  // Failed accounts (AA): whole row red; listed first so it wins over the rules below
+  rules.push(SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied('=$AA3<>""').setBackground('#FADBD8').setFontColor('#922B21')
+    .setRanges([sheet.getRange('A3:AJ')]).build());
+
+  // Group subtotal rows (OVERVIEW_GROUP_BY): bold on grey
+  rules.push(SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied('=LEFT($A3,1)="▸"').setBackground('#EAECEE').setBold(true)
+    .setRanges([sheet.getRange('A3:E'), sheet.getRange('H3:AJ')]).build());
+
   // Pace vs Target (M) red/green
   rules.push(SpreadsheetApp.newConditionalFormatRule()
     .whenNumberLessThan(0).setBackground('#FADBD8')
-    .setRanges([sheet.getRange(2, 13, Math.max(rows.length,1), 1)]).build());
+    .setRanges([sheet.getRange('M3:M')]).build());
   rules.push(SpreadsheetApp.newConditionalFormatRule()
     .whenNumberGreaterThan(0).setBackground('#D5F5E3')
-    .setRanges([sheet.getRange(2, 13, Math.max(rows.length,1), 1)]).build());
+    .setRanges([sheet.getRange('M3:M')]).build());
 
-  // Trend (G) from H
+  // Trend (G): green when on target, else red under / orange over. Per-account bands are applied
+  // in code (paceStatus_), so the rules read the written Pace Status (AB) instead of fixed cutoffs.
   rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=$H2<-0.05').setBackground('#FADBD8').setFontColor('#922B21')
-    .setRanges([sheet.getRange(2,7,Math.max(rows.length,1),1)]).build());
+    .whenFormulaSatisfied('=AND($AB3<>"",$AB3<>"GREEN",$H3<0)').setBackground('#FADBD8').setFontColor('#922B21')
+    .setRanges([sheet.getRange('G3:G')]).build());
   rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=ABS($H2)<=0.05').setBackground('#E8F5E9').setFontColor('#1E8449')
-    .setRanges([sheet.getRange(2,7,Math.max(rows.length,1),1)]).build());
+    .whenFormulaSatisfied('=$AB3="GREEN"').setBackground('#E8F5E9').setFontColor('#1E8449')
+    .setRanges([sheet.getRange('G3:G')]).build());
   rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=$H2>0.05').setBackground('#FDEBD0').setFontColor('#AF601A')
-    .setRanges([sheet.getRange(2,7,Math.max(rows.length,1),1)]).build());
+    .whenFormulaSatisfied('=AND($AB3<>"",$AB3<>"GREEN",$H3>0)').setBackground('#FDEBD0').setFontColor('#AF601A')
+    .setRanges([sheet.getRange('G3:G')]).build());
+
+  // Progress bar (F) and Pace Status (AB) backgrounds from the status
+  [['RED', '#FADBD8'], ['YELLOW', '#FDEBD0'], ['GREEN', '#D5F5E3']].forEach(function(c){
+    rules.push(SpreadsheetApp.newConditionalFormatRule()
+      .whenFormulaSatisfied('=$AB3="' + c[0] + '"').setBackground(c[1])
+      .setRanges([sheet.getRange('F3:F'), sheet.getRange('AB3:AB')]).build());
+  });
+
+  // Budget Schedule Check (S): any warning text
+  rules.push(SpreadsheetApp.newConditionalFormatRule()
+    .whenCellNotEmpty().setBackground('#FDEBD0').setFontColor('#AF601A')
+    .setRanges([sheet.getRange('S3:S')]).build());
 
-  // NEW: Progress bar cell (F) background from pace delta H:
-  // RED if |H| >= 10%, YELLOW if 5% < |H| < 10%, GREEN if |H| <= 5%
-  var fRange = sheet.getRange(2,6,Math.max(rows.length,1),1);
+  // Budget Order Check (Y): Config vs. budget order disagreement
   rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=OR($H2<=-0.10,$H2>=0.10)')
-    .setBackground('#FADBD8').setRanges([fRange]).build()); // red
+    .whenTextStartsWith('Mismatch').setBackground('#FADBD8').setFontColor('#922B21')
+    .setRanges([sheet.getRange('Y3:Y')]).build());
+
+  // Exhaustion before period end (AD < 0) and Risk Score (AE) scale
   rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=OR(AND($H2>-0.10,$H2<-0.05),AND($H2>0.05,$H2<0.10))')
-    .setBackground('#FDEBD0').setRanges([fRange]).build()); // yellow
+    .whenNumberLessThan(0).setBackground('#FADBD8').setFontColor('#922B21')
+    .setRanges([sheet.getRange('AD3:AD')]).build());
   rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=ABS($H2)<=0.05')
-    .setBackground('#D5F5E3').setRanges([fRange]).build()); // green
+    .setGradientMinpointWithValue('#FFFFFF', SpreadsheetApp.InterpolationType.NUMBER, '0')
+    .setGradientMidpointWithValue('#FDEBD0', SpreadsheetApp.InterpolationType.NUMBER, '30')
+    .setGradientMaxpointWithValue('#E6B0AA', SpreadsheetApp.InterpolationType.NUMBER, '100')
+    .setRanges([sheet.getRange('AE3:AE')]).build());
 
   sheet.setConditionalFormatRules(rules);
+  setSheetMeta_(sheet, META.LAYOUT, layoutKey);
+}
+
+/** Overview/alert/history record for an account or budget group. */
+function buildSummary_(base, pacing, forecast) {
+  var s = {};
+  for (var k in base) if (base.hasOwnProperty(k)) s[k] = base[k];
+  for (k in pacing) if (pacing.hasOwnProperty(k)) s[k] = pacing[k];
+  s.forecastDaily = forecast.dailyAvg;
+  s.forecastModel = forecast.model;
+  return s;
+}
+
+/** Flat rows, or grouped by OVERVIEW_GROUP_BY with a subtotal row heading each group. */
+function buildOverviewRows_(summaries) {
+  var byRisk = ('' + OVERVIEW_SORT).toUpperCase() === 'RISK';
+  if (byRisk) summaries = sortByRisk_(summaries);
+  var by = ('' + OVERVIEW_GROUP_BY).toUpperCase();
+  if (by !== 'SUB_MANAGER' && by !== 'LABEL') return summaries.map(buildOverviewRow_);
+
+  var groups = {}, order = [];
+  summaries.forEach(function(s){
+    var keys = by === 'SUB_MANAGER'
+      ? [s.subManager || '(no sub-manager)']
+      : (s.accountLabels || []).filter(function(l){ return l.indexOf(OVERVIEW_GROUP_LABEL_PREFIX) === 0; });
+    if (!keys.length) keys = ['(no label)'];
+    keys.forEach(function(k){
+      if (!groups[k]) { groups[k] = []; order.push(k); }
+      groups[k].push(s);
+    });
+  });
+  var subtotals = {};
+  order.forEach(function(k){ subtotals[k] = buildSubtotal_(k, groups[k]); });
+  order.sort(function(a, b){
+    if (byRisk && subtotals[a].riskScore !== subtotals[b].riskScore) return subtotals[b].riskScore - subtotals[a].riskScore;
+    return a.toLowerCase() < b.toLowerCase() ? -1 : 1;
+  });
+
+  var rows = [];
+  order.forEach(function(k){
+    rows.push(buildOverviewRow_(subtotals[k]));
+    groups[k].forEach(function(s){ rows.push(buildOverviewRow_(s)); });
+  });
+  return rows;
+}
+
+/**
+ * Highest risk first, failed accounts on top; budget group rows stay under their account (sorted
+ * among themselves). Ties keep the incoming (name) order.
+ */
+function sortByRisk_(summaries) {
+  var blocks = [], byId = {};
+  summaries.forEach(function(s, i){
+    if (!byId[s.accountId]) { byId[s.accountId] = { head: null, rows: [], pos: i }; blocks.push(byId[s.accountId]); }
+    if (s.groupLabel) byId[s.accountId].rows.push(s); else byId[s.accountId].head = s;
+  });
+  var score = function(s){ return !s ? -1 : (s.error ? Infinity : (s.riskScore || 0)); };
+  var byScore = function(a, b){ return (score(b.s) - score(a.s)) || (a.pos - b.pos); };
+  blocks = blocks.map(function(b){ return { s: b.head || b.rows[0], pos: b.pos, block: b }; }).sort(byScore);
+
+  var out = [];
+  blocks.forEach(function(x){
+    if (x.block.head) out.push(x.block.head);
+    x.block.rows.map(function(s, i){ return { s: s, pos: i }; }).sort(byScore)
+      .forEach(function(y){ out.push(y.s); });
+  });
+  return out;
+}
+
+/**
+ * Group subtotal in the same shape as an account summary, with the same pacing formulas. Budget
+ * group rows (already inside their account) and failed accounts are left out. Mixed currencies
+ * are summed in REPORTING_CURRENCY (accounts without an FX rate are skipped).
+ */
+function buildSubtotal_(name, list) {
+  var accounts = list.filter(function(s){ return !s.groupLabel && !s.error && isSpendRow_(s); });
+  var currencies = {};
+  accounts.forEach(function(s){ currencies[s.currency] = true; });
+  var single = Object.keys(currencies).length <= 1;
+  var t = { budgetCap:0, spendMtd:0, availableRemaining:0, targetToDate:0, projectedEom:0, recDaily:0 };
+  accounts.forEach(function(s){
+    var rate = single ? 1 : s.fxRate;
+    if (!rate) return;
+    for (var k in t) if (t.hasOwnProperty(k)) t[k] += s[k] * rate;
+  });
+  t.subtotal = true;
+  t.accountName = '▸ ' + name + ' (' + accounts.length + ')';
+  t.accountId = '';
+  t.daysInPeriod = t.daysElapsed = t.periodLabel = t.scheduleCheck = t.refreshedAt = '';
+  t.currency = single ? (Object.keys(currencies)[0] || '') : REPORTING_CURRENCY;
+  t.fxRate = single && accounts.length ? accounts[0].fxRate : (single ? null : 1);
+  t.paceVsTarget = t.spendMtd - t.targetToDate;
+  t.pctBudgetSpent = t.budgetCap > 0 ? t.spendMtd / t.budgetCap : 0;
+  t.paceDeltaPct = t.targetToDate > 0 ? (t.spendMtd / t.targetToDate) - 1 : 0;
+  t.exhaustDate = t.exhaustDaysVsEnd = t.tz = t.asOf = '';
+  t.riskScore = accounts.reduce(function(m, s){ return Math.max(m, s.riskScore || 0); }, 0); // worst member
+  return t;
+}
+
+function buildOverviewRow_(s) {
+  if (s.error) {
+    var row = OVERVIEW_HEADERS.map(function(){ return ''; });
+    row[0] = s.accountName; row[1] = s.accountId;
+    row[25] = s.refreshedAt; row[26] = s.error;
+    return row;
+  }
+  return [
+    s.groupLabel ? ('    ↳ ' + s.groupLabel) : s.accountName, s.accountId, s.sheetUrl ? '=HYPERLINK("' + s.sheetUrl + '","Open")' : '',
+    s.budgetCap, s.spendMtd,
+    '', // SPARKLINE added after write
+    trendLabel_(s.paceDeltaPct, s.thresholds),
+    s.paceDeltaPct,
+    s.availableRemaining,
+    s.daysInPeriod, s.daysElapsed,
+    s.targetToDate,
+    s.paceVsTarget,
+    s.pctBudgetSpent,
+    s.projectedEom,
+    s.recDaily,
+    s.currency,
+    s.periodLabel,
+    s.scheduleCheck,
+    fxCell_(s.fxRate),
+    fxCell_(s.fxRate, s.budgetCap),
+    fxCell_(s.fxRate, s.spendMtd),
+    fxCell_(s.fxRate, s.targetToDate),
+    fxCell_(s.fxRate, s.projectedEom),
+    s.orderCheck || '',
+    s.refreshedAt,
+    '',
+    paceStatus_(s.paceDeltaPct, s.thresholds),
+    s.exhaustDate || '',
+    s.exhaustDaysVsEnd,
+    s.riskScore,
+    s.tz || '',
+    s.asOf || '',
+    s.metric && s.metric !== 'COST' ? METRICS[s.metric].label : (s.subtotal ? '' : 'Spend'),
+    s.cpa && s.cpa.toDate !== null ? s.cpa.toDate : '',
+    s.cpa && s.cpa.target !== null ? s.cpa.target : ''
+  ];
+}
+
+/** Number format per Overview column (1-based); unlisted columns stay automatic. */
+var OVERVIEW_FORMATS = {
+  4:'0.00', 5:'0.00', 8:'0.00%', 9:'0.00', 12:'0.00', 13:'0.00', 14:'0.00%', 15:'0.00', 16:'0.00',
+  20:'0.0000', 21:'0.00', 22:'0.00', 23:'0.00', 24:'0.00', 29:'yyyy-mm-dd', 30:'+0;-0;0', 31:'0',
+  35:'0.00', 36:'0.00'
+};
+
+/**
+ * Data only (layout comes from prepareOverview_): values, formulas and number formats each go out
+ * in one call. portfolio: [label, value, format] rows written under the table.
+ */
+function writeOverview_(sheet, rows, portfolio) {
+  var first = OVERVIEW_FIRST_ROW;
+  var last = sheet.getLastRow();
+  if (last >= first) sheet.getRange(first,1,last-first+1,OVERVIEW_HEADERS.length).clearContent().setFontWeight('normal');
+
+  if (rows.length) {
+    // SPARKLINE progress bar in F (green bar over colored background per status)
+    rows.forEach(function(row, i){
+      if (row[26]) return; // error row: nothing to chart
+      var r = i + first;
+      row[5] = '=SPARKLINE(E' + r + ', {"charttype","bar"; "max", D' + r + '; "color1","#2ecc71"; "color2","#eaf3ec"})';
+    });
+    var formatRow = OVERVIEW_HEADERS.map(function(h, c){ return OVERVIEW_FORMATS[c + 1] || 'General'; });
+    sheet.getRange(first,1,rows.length,OVERVIEW_HEADERS.length)
+      .setValues(rows)
+      .setNumberFormats(rows.map(function(){ return formatRow; }));
+  }
+
+  if (portfolio && portfolio.length) {
+    var top = first + rows.length + 1; // one blank row under the table
+    sheet.getRange(top,1,portfolio.length,2)
+      .setValues(portfolio.map(function(p){ return [p[0], p[1]]; }))
+      .setNumberFormats(portfolio.map(function(p){ return ['General', p[2] || 'General']; }));
+    sheet.getRange(top,1,1,2).setFontWeight('bold');
+  }
+}
+
+/** Row 1 of the Overview: Config validation counts (see readConfig_ / writeConfigStatus_). */
+function writeOverviewConfigSummary_(sheet, counts) {
+  var text = 'Config: ' + counts.paced + ' account(s) paced · ' + counts.excluded + ' excluded · ' +
+    counts.issues + ' row(s) with issues' + (counts.issues ? ' — see "Config Status" in Config' : '');
+  sheet.getRange(1,1).setValue(text).setFontWeight('bold')
+    .setBackground(counts.issues ? '#FADBD8' : '#D5F5E3').setFontColor(counts.issues ? '#922B21' : '#1E8449');
+}
+
+/* ========================= Currency & Portfolio ========================= */
+
+var FX_HEADERS = ['Currency', 'Rate → ' + REPORTING_CURRENCY + ' (GOOGLEFINANCE)', 'Manual Override', 'Rate Used', 'Last Updated'];
+
+/**
+ * Makes sure every account currency has a row in "FX Rates" and returns { currency: rate } where
+ * rate converts one unit into REPORTING_CURRENCY. Currencies without a usable rate are omitted.
+ */
+function syncFxRates_(ss, currencies) {
+  var sheet = getOrCreateSheet_(ss, 'FX Rates');
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1,1,1,FX_HEADERS.length).setValues([FX_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.getRange(1,3).setNote('Optional. Units of ' + REPORTING_CURRENCY + ' per 1 unit of this currency. Overrides GOOGLEFINANCE.');
+  }
+
+  var formula = function(cur){
+    return cur === REPORTING_CURRENCY ? '=1' : '=IFERROR(GOOGLEFINANCE("CURRENCY:' + cur + REPORTING_CURRENCY + '"),"")';
+  };
+  // Formulas are only (re)written when needed: a freshly written GOOGLEFINANCE cell often still
+  // reads as loading, so existing rows keep theirs and are read as already computed.
+  var last = sheet.getLastRow();
+  if (last >= 2 && sheet.getRange(1,2).getValue() !== FX_HEADERS[1]) { // REPORTING_CURRENCY changed
+    sheet.getRange(1,1,1,FX_HEADERS.length).setValues([FX_HEADERS]);
+    sheet.getRange(2,2,last-1,1).setFormulas(sheet.getRange(2,1,last-1,1).getValues().map(function(r){ return [formula(r[0])]; }));
+    sheet.getRange(2,4,last-1,1).clearContent(); // rates into the old currency
+    SpreadsheetApp.flush();
+  }
+
+  var existing = {};
+  if (last >= 2) sheet.getRange(2,1,last-1,1).getValues().forEach(function(r){ existing[r[0]] = true; });
+  var toAppend = [];
+  currencies.forEach(function(cur){
+    if (!cur || existing[cur]) return;
+    existing[cur] = true;
+    toAppend.push([cur, formula(cur)]);
+  });
+  if (toAppend.length) {
+    sheet.getRange(last+1,1,toAppend.length,2).setValues(toAppend);
+    SpreadsheetApp.flush();
+  }
+
+  last = sheet.getLastRow();
+  if (last < 2) return {};
+  var n = last - 1;
+  var data = sheet.getRange(2,1,n,4).getValues();
+  var rates = {}, used = [], now = new Date();
+  data.forEach(function(r){
+    var override = Number(r[2]), auto = Number(r[1]), previous = Number(r[3]);
+    var rate = (r[2] !== '' && override > 0) ? override : ((r[1] !== '' && auto > 0) ? auto : null);
+    if (!rate && r[3] !== '' && previous > 0) {
+      rate = previous;
+      Logger.log('ℹ️  GOOGLEFINANCE has no ' + r[0] + ' rate yet; reusing the last rate used (' + previous + ').');
+    }
+    if (rate) rates[r[0]] = rate;
+    else Logger.log('⚠️  No FX rate for ' + r[0] + ' → ' + REPORTING_CURRENCY + ' (add a Manual Override in "FX Rates").');
+    used.push([rate || '', now]);
+  });
+  sheet.getRange(2,4,n,2).setValues(used);
+  sheet.getRange(2,2,n,3).setNumberFormat('0.000000');
+  sheet.getRange(2,5,n,1).setNumberFormat('yyyy-mm-dd hh:mm');
+  return rates;
+}
+
+function applyFx_(s, rates) {
+  s.fxRate = isSpendRow_(s) ? (rates[s.currency] || null) : null;
+}
+
+/** Rows paced on spend; metric goals (conversions, clicks…) are never converted or summed. */
+function isSpendRow_(s) {
+  return !s.metric || s.metric === 'COST';
+}
+
+/** Converted value (or the rate itself); blank when the currency has no rate. */
+function fxCell_(rate, value) {
+  if (!rate) return '';
+  return (value === undefined) ? rate : value * rate;
+}
+
+/** Portfolio block under the Overview table. Budget groups are excluded (already in their account). */
+function buildPortfolioBlock_(summaries) {
+  var t = { budget:0, spend:0, target:0, projected:0, accounts:0, missing:[] };
+  summaries.forEach(function(s){
+    if (s.groupLabel || s.error || !isSpendRow_(s)) return;
+    if (!s.fxRate) { t.missing.push(s.currency); return; }
+    t.accounts++;
+    t.budget    += s.budgetCap * s.fxRate;
+    t.spend     += s.spendMtd * s.fxRate;
+    t.target    += s.targetToDate * s.fxRate;
+    t.projected += s.projectedEom * s.fxRate;
+  });
+  var missing = t.missing.filter(function(c, i){ return t.missing.indexOf(c) === i; });
+  return [
+    ['Portfolio Total (' + REPORTING_CURRENCY + ')', ''],
+    ['Accounts', t.accounts, '0'],
+    ['Total Budget', t.budget, '0.00'],
+    ['Total Spend to Date', t.spend, '0.00'],
+    ['Total Target Spend To Date', t.target, '0.00'],
+    ['Total Projected EoM Spend', t.projected, '0.00'],
+    ['Pace Delta % (vs Target)', t.target > 0 ? (t.spend / t.target) - 1 : 0, '0.00%'],
+    ['Excluded (no FX rate)', missing.length ? missing.join(', ') + ' — see "FX Rates"' : 'None']
+  ];
 }
 
 /* ========================= Read Config ========================= */
 
-function readConfig_(sheet) {
-  var out = { rows: [], index: {} };
+/**
+ * Valid, included rows as { rows, index }, plus `checks`: one { accountId, issues, excluded } per
+ * sheet row (null for empty rows) for writeConfigStatus_.
+ * schedule/monthKey: Budget Schedule budgets override Config for calendar-month periods.
+ * groups: accounts with a blank budget fall back to the total of their Budget Groups.
+ */
+function readConfig_(sheet, schedule, monthKey, groups) {
+  var out = { rows: [], index: {}, checks: [] };
   var last = sheet.getLastRow();
   if (last < 2) return out;
   var data = sheet.getRange(2,1,last-1,CONFIG_HEADERS.length).getValues();
+  // Bands as shown, so percent-formatted cells ("5%") read the same as plain numbers (5).
+  var bands = sheet.getRange(2, CONFIG_HEADERS.indexOf('Green Band %') + 1, last-1, 4).getDisplayValues();
   var seen = {};
   for (var i=0;i<data.length;i++){
     var rawId = (data[i][0]||'').toString().trim();
     var acctId = rawId.replace(/-/g,'');
     var acctName = (data[i][1]||'').toString().trim();
-    var monthlyBudget = Number(data[i][2]||0);
+    var budgetCell = data[i][2];
+    var configBudget = Number(budgetCell||0);
 
     var includeCell = data[i][3];
     // DEFAULT TRUE: only exclude when explicitly FALSE/"FALSE"
     var include = !(includeCell === false || includeCell === 'FALSE');
 
-    if (!acctId || !/^\d+$/.test(acctId)) { if (rawId) Logger.log('⚠️  Bad CID: ' + rawId); continue; }
-    if (seen[acctId]) { Logger.log('⚠️  Duplicate CID, keeping first: ' + acctId); continue; }
-    if (!include || monthlyBudget <= 0) { continue; }
+    var check = rawId ? { accountId: acctId, issues: [], excluded: !include } : null;
+    out.checks.push(check);
+    if (!acctId || !/^\d+$/.test(acctId)) {
+      if (rawId) { Logger.log('⚠️  Bad CID: ' + rawId); check.issues.push('Bad account ID (digits only, dashes allowed)'); }
+      continue;
+    }
+    if (seen[acctId]) {
+      Logger.log('⚠️  Duplicate CID, keeping first: ' + acctId);
+      check.issues.push('Duplicate of row ' + (seen[acctId] + 1) + ' (ignored)');
+      continue;
+    }
+    seen[acctId] = i + 1; // sheet row of the first occurrence, minus the header
+    if (isNaN(configBudget)) { check.issues.push('Budget is not a number'); configBudget = 0; }
+    else if (configBudget < 0) { check.issues.push('Budget is negative'); configBudget = 0; }
+    if (!include) { continue; }
+
+    var period = parsePeriod_(acctId, data[i][7], data[i][8], data[i][9]);
+    var scheduled = (period.type === 'MONTH') ? (schedule[acctId] || {})[monthKey] : 0;
+    var groupTotal = (groups[acctId] || []).reduce(function(sum, g){ return sum + g.budget; }, 0);
+    var monthlyBudget = scheduled > 0 ? scheduled : (configBudget > 0 ? configBudget : groupTotal);
+    var metric = parseMetric_(data[i][22], data[i][23], check.issues);
+    if (monthlyBudget <= 0 && !USE_BUDGET_ORDERS && metric.metric === 'COST') { // budget orders are resolved per account
+      if (budgetCell === '' || budgetCell === null || Number(budgetCell) === 0) check.issues.push('No budget: included but not paced');
+      continue;
+    }
+    // The account row should total its groups; a budget set on top of them is flagged, not replaced.
+    if (groupTotal > 0 && Math.abs(monthlyBudget - groupTotal) > 0.005 * groupTotal) {
+      check.issues.push('Budget ' + monthlyBudget.toFixed(2) + ' differs from its Budget Groups total ' + groupTotal.toFixed(2));
+    }
 
-    seen[acctId]=true;
-    var entry = { accountId: acctId, accountName: acctName, monthlyBudget: monthlyBudget };
+    var entry = {
+      accountId: acctId,
+      accountName: acctName,
+      monthlyBudget: monthlyBudget,
+      configBudget: configBudget,
+      budgetSource: scheduled > 0 ? ('Budget Schedule (' + monthKey + ')') : (configBudget > 0 ? 'Config' : 'Budget Groups (total)'),
+      alertEmails: parseList_(data[i][4]),
+      autoAdjust: isTrue_(data[i][5]),
+      pauseAtPct: parsePct_(data[i][6]),
+      period: period,
+      forecastModel: parseForecastModel_(acctId, data[i][10]),
+      thresholds: parseThresholds_(bands[i], check.issues),
+      webhookUrls: parseList_(data[i][16]),
+      subManager: ('' + (data[i][17] || '')).trim(),
+      accountLabels: splitLabels_(data[i][18]),
+      rollover: isTrue_(data[i][19]) && period.type !== 'CUSTOM',
+      rolloverLimit: parseRolloverLimit_(data[i][20]),
+      viewerEmails: parseViewerEmails_(data[i][21], check.issues),
+      metric: metric.metric,
+      metricTarget: metric.target
+    };
     out.rows.push(entry); out.index[acctId]=entry;
   }
   return out;
 }
 
-/* ========================= Account Tabs & Forecast ========================= */
+/** Validates the period columns; anything unusable falls back to the calendar month. */
+function parsePeriod_(acctId, typeCell, startCell, endCell) {
+  var type  = ('' + (typeCell || '')).trim().toUpperCase() || 'MONTH';
+  var start = parseDate_(startCell);
+  var end   = parseDate_(endCell);
+
+  if (type === 'MONTH' || type === 'QUARTER') return { type: type };
+  if (type === 'FLIGHT') {
+    var day = start ? start.getDate() : Number(startCell);
+    if (day >= 1 && day <= 28) return { type: type, startDay: day };
+    Logger.log('⚠️  FLIGHT period needs a start day 1–28, using MONTH: ' + acctId);
+    return { type: 'MONTH' };
+  }
+  if (type === 'CUSTOM') {
+    if (start && end && end >= start) return { type: type, start: start, end: end };
+    Logger.log('⚠️  CUSTOM period needs Period Start <= Period End, using MONTH: ' + acctId);
+    return { type: 'MONTH' };
+  }
+  Logger.log('⚠️  Unknown Period Type "' + typeCell + '", using MONTH: ' + acctId);
+  return { type: 'MONTH' };
+}
 
-function makeAccountTabName_(name, acctId) {
-  var clean = (name || '').replace(/[\[\]\:\?\*\/\\]/g,' ');
-  if (clean.length > 80) clean = clean.substring(0,80).trim();
-  return clean + ' - ' + acctId;
+function parseForecastModel_(acctId, cell) {
+  var key = ('' + (cell || '')).trim().toUpperCase();
+  if (!key) return FORECAST_MODEL;
+  if (FORECAST_MODELS[key]) return key;
+  Logger.log('⚠️  Unknown Forecast Model "' + cell + '", using ' + FORECAST_MODEL + ': ' + acctId);
+  return FORECAST_MODEL;
 }
 
-function writeAccountSheet_(sheet, ctx) {
-  sheet.clear(); removeAllCharts_(sheet); sheet.clearConditionalFormatRules();
+/** { metric, target }; an unknown metric or one without a target falls back to COST (with an issue). */
+function parseMetric_(metricCell, targetCell, issues) {
+  var metric = ('' + (metricCell || '')).trim().toUpperCase() || 'COST';
+  var target = Number(targetCell || 0);
+  if (!METRICS[metric]) {
+    issues.push('Unknown pacing metric "' + metricCell + '" (paced on cost)');
+    return { metric: 'COST', target: 0 };
+  }
+  if (metric !== 'COST' && !(target > 0)) {
+    issues.push('No Metric Target for ' + metric + ' (paced on cost)');
+    return { metric: 'COST', target: 0 };
+  }
+  return { metric: metric, target: target };
+}
 
-  var targetToDate = ctx.monthlyBudget * (ctx.daysElapsed / ctx.daysInMonth);
-  var paceVsTarget = ctx.spendMtd - targetToDate;
-  var pctBudgetSpent = ctx.monthlyBudget > 0 ? (ctx.spendMtd / ctx.monthlyBudget) : 0;
+/** Account labels are stored comma-separated (they may contain spaces). */
+function splitLabels_(cell) {
+  return ('' + (cell || '')).split(',').map(function(l){ return l.trim(); }).filter(function(l){ return l; });
+}
 
-  var remainingDays = Math.max(ctx.daysInMonth - ctx.daysElapsed, 0);
-  var projectedEom  = ctx.spendMtd + ctx.wmaDaily * remainingDays;
-  var recDaily = (remainingDays > 0) ? Math.max((ctx.monthlyBudget - ctx.spendMtd) / remainingDays, 0) : 0;
+/** '25%' → { pct: 0.25 }, 2000 → { amount: 2000 }, blank/invalid → null (no limit). */
+function parseRolloverLimit_(cell) {
+  var str = ('' + (cell === null || cell === undefined ? '' : cell)).trim();
+  if (!str) return null;
+  if (str.indexOf('%') !== -1) { var pct = parsePct_(str); return pct > 0 ? { pct: pct } : null; }
+  var amount = Number(str);
+  return amount > 0 ? { amount: amount } : null;
+}
 
-  var updatedAtStr = Utilities.formatDate(ctx.updatedAt, ctx.tz, "yyyy-MM-dd HH:mm:ss '(" + ctx.tz + ")'");
+/** Comma-separated emails; anything that does not look like an address is reported and dropped. */
+function parseViewerEmails_(cell, issues) {
+  return parseList_(cell).filter(function(email){
+    if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return true;
+    issues.push('Viewer email "' + email + '" is not valid');
+    return false;
+  });
+}
 
-  var kpis = [
-    ['Last Updated', updatedAtStr],
-    ['Account Name', ctx.accountName],
-    ['Account ID', ctx.accountId],
-    ['Account Currency', ctx.currency],
-    ['Budget Cap', ctx.monthlyBudget],
-    ['Spend to Date', ctx.spendMtd],
-    ['Available Budget Remaining', ctx.availableRemaining],
-    ['Days in Month', ctx.daysInMonth],
-    ['Days Elapsed', ctx.daysElapsed],
-    ['Target Spend To Date', targetToDate],
-    ['Pace vs Target', paceVsTarget],
-    ['Percentage Budget Spent', pctBudgetSpent],
-    ['Projected EoM Spend', projectedEom],
-    ['Recommended Daily Spend to 100%', recDaily],
-    ['Recent Daily Avg (last ' + WMA_WINDOW_DAYS + ' d)', ctx.wmaDaily]
-  ];
-  sheet.getRange(1,1,kpis.length,2).setValues(kpis);
-  if (kpis.length >= 2) sheet.getRange(2,2,kpis.length-1,1).setNumberFormat('0.00');
-  sheet.getRange(12,2).setNumberFormat('0.00%');
+/**
+ * The one threshold definition for an account: { overGreen, overYellow, underGreen, underYellow }
+ * as fractions of the target. cells = displayed [green, yellow, under green, under yellow]; blanks fall back
+ * to the symmetric pair, then to PACE_GREEN_BAND / PACE_YELLOW_BAND.
+ */
+function parseThresholds_(cells, issues) {
+  var green  = parseBandPct_(cells[0]) || PACE_GREEN_BAND;
+  var yellow = parseBandPct_(cells[1]) || PACE_YELLOW_BAND;
+  var th = {
+    overGreen: green, overYellow: yellow,
+    underGreen: parseBandPct_(cells[2]) || green, underYellow: parseBandPct_(cells[3]) || yellow
+  };
+  if (th.overYellow <= th.overGreen || th.underYellow <= th.underGreen) {
+    if (issues) issues.push('Yellow band must be wider than the green band (defaults used)');
+    return defaultThresholds_();
+  }
+  return th;
+}
 
-  // Traffic-light conditional formatting for KPI cells
-  var rules = [];
-  var rTarget = sheet.getRange(10,2,1,1);
-  var rPace   = sheet.getRange(11,2,1,1);
-  var rPct    = sheet.getRange(12,2,1,1);
-  var rProj   = sheet.getRange(13,2,1,1);
+/** Band cells are percentage points: 5, "5" and "5%" all mean ±5%, and 0.5 means ±0.5%. */
+function parseBandPct_(display) {
+  var n = Number(('' + (display || '')).replace('%', '').trim());
+  return n > 0 ? n / 100 : 0;
+}
 
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=AND($B$10>0, ABS($B$11)/$B$10<=0.05)').setBackground('#D5F5E3').setRanges([rTarget]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=AND($B$10>0, ABS($B$11)/$B$10>0.05, ABS($B$11)/$B$10<=0.10)').setBackground('#FDEBD0').setRanges([rTarget]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=OR($B$10=0, ABS($B$11)/$B$10>0.10)').setBackground('#FADBD8').setRanges([rTarget]).build());
+function defaultThresholds_() {
+  return { overGreen: PACE_GREEN_BAND, overYellow: PACE_YELLOW_BAND, underGreen: PACE_GREEN_BAND, underYellow: PACE_YELLOW_BAND };
+}
 
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=$B$11>0.05*$B$10').setBackground('#D5F5E3').setRanges([rPace]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=ABS($B$11)<=0.05*$B$10').setBackground('#FDEBD0').setRanges([rPace]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=$B$11<-0.05*$B$10').setBackground('#FADBD8').setRanges([rPace]).build());
+/* ========================= Budget Schedule ========================= */
 
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=AND($B$12>=0.95,$B$12<=1.05)').setBackground('#D5F5E3').setRanges([rPct]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=OR(AND($B$12>=0.90,$B$12<0.95),AND($B$12>1.05,$B$12<=1.10))').setBackground('#FDEBD0').setRanges([rPct]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=OR($B$12<0.90,$B$12>1.10)').setBackground('#FADBD8').setRanges([rPct]).build());
+/** Keeps month columns (this month + SCHEDULE_MONTHS_AHEAD - 1) and one row per Config account. */
+function syncBudgetSchedule_(ss, shConfig, tz) {
+  var sheet = getOrCreateSheet_(ss, 'Budget Schedule');
 
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=AND($B$5>0, ABS($B$13-$B$5)/$B$5<=0.05)').setBackground('#D5F5E3').setRanges([rProj]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=AND($B$5>0, ABS($B$13-$B$5)/$B$5>0.05, ABS($B$13-$B$5)/$B$5<=0.10)').setBackground('#FDEBD0').setRanges([rProj]).build());
-  rules.push(SpreadsheetApp.newConditionalFormatRule()
-    .whenFormulaSatisfied('=OR($B$5=0, ABS($B$13-$B$5)/$B$5>0.10)').setBackground('#FADBD8').setRanges([rProj]).build());
+  var lastCol = sheet.getLastColumn();
+  var header = lastCol ? sheet.getRange(1,1,1,lastCol).getValues()[0].map(function(v){ return monthKeyFromCell_(v, tz); }) : [];
+  if (!header.length) header = ['Account ID', 'Account Name'];
+  upcomingMonthKeys_(new Date(), tz, SCHEDULE_MONTHS_AHEAD).forEach(function(k){
+    if (header.indexOf(k) === -1) header.push(k);
+  });
+  // Plain text so Sheets doesn't turn "2026-10" into a date
+  sheet.getRange(1,1,1,header.length).setNumberFormat('@').setValues([header]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  sheet.setFrozenColumns(2);
 
-  sheet.setConditionalFormatRules(rules);
+  var existing = {};
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2,1,sheet.getLastRow()-1,1).getValues().forEach(function(r){
+      existing[r[0].toString().replace(/-/g,'').trim()] = true;
+    });
+  }
+  var toAppend = [];
+  if (shConfig.getLastRow() >= 2) {
+    shConfig.getRange(2,1,shConfig.getLastRow()-1,2).getValues().forEach(function(r){
+      var id = (r[0]||'').toString().replace(/-/g,'').trim();
+      if (!/^\d+$/.test(id) || existing[id]) return;
+      existing[id] = true;
+      toAppend.push([id, r[1]]);
+    });
+  }
+  if (toAppend.length) {
+    sheet.getRange(sheet.getLastRow()+1,1,toAppend.length,2).setValues(toAppend);
+  }
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2,3,sheet.getLastRow()-1,header.length-2).setNumberFormat('0.00');
+  }
+  return sheet;
+}
+
+/** { accountId: { 'yyyy-MM': budget } } — only positive numeric cells count as scheduled. */
+function readBudgetSchedule_(sheet, tz) {
+  var out = {};
+  var last = sheet.getLastRow(), lastCol = sheet.getLastColumn();
+  if (last < 2 || lastCol < 3) return out;
+  var data = sheet.getRange(1,1,last,lastCol).getValues();
+  var header = data[0].map(function(v){ return monthKeyFromCell_(v, tz); });
+  for (var i=1;i<data.length;i++) {
+    var id = (data[i][0]||'').toString().replace(/-/g,'').trim();
+    if (!/^\d+$/.test(id)) continue;
+    for (var c=2;c<header.length;c++) {
+      var n = Number(data[i][c]);
+      if (data[i][c] !== '' && n > 0) (out[id] = out[id] || {})[header[c]] = n;
+    }
+  }
+  return out;
+}
+
+/** Warning text when next month (in the account's zone tz) has no scheduled budget and this month is nearly over. */
+function checkNextMonthBudget_(rowCfg, schedule, tz) {
+  if (rowCfg.period.type !== 'MONTH') return '';
+  var nextMonthKey = upcomingMonthKeys_(new Date(), tz, 2)[1];
+  var month = periodMeta_(new Date(), tz, { type: 'MONTH' });
+  if (month.daysInPeriod - month.daysElapsed >= SCHEDULE_WARN_DAYS) return '';
+  if ((schedule[rowCfg.accountId] || {})[nextMonthKey] > 0) return '';
+  Logger.log('⚠️  No Budget Schedule entry for ' + nextMonthKey + ': ' + rowCfg.accountId);
+  return 'No budget for ' + nextMonthKey + ' (Config value will be used)';
+}
+
+/**
+ * Monthly budget for the month the account is in locally; readConfig_ resolved it for the MCC's
+ * month, which differs around month end for accounts ahead of or behind the MCC.
+ */
+function localMonthBudget_(rowCfg, job, tz) {
+  var key = Utilities.formatDate(new Date(), tz, 'yyyy-MM');
+  if (job.schedule[key] > 0) return { cap: job.schedule[key], source: 'Budget Schedule (' + key + ')' };
+  if (rowCfg.budgetSource.indexOf('Budget Schedule') !== 0) return { cap: rowCfg.monthlyBudget, source: rowCfg.budgetSource };
+  if (rowCfg.configBudget > 0) return { cap: rowCfg.configBudget, source: 'Config' };
+  return { cap: job.groups.reduce(function(sum, g){ return sum + g.budget; }, 0), source: 'Budget Groups (total)' };
+}
+
+function upcomingMonthKeys_(today, tz, n) {
+  var y  = Number(Utilities.formatDate(today, tz, 'yyyy'));
+  var m0 = Number(Utilities.formatDate(today, tz, 'M')) - 1;
+  var keys = [];
+  for (var i=0;i<n;i++) keys.push(ymd_(new Date(y, m0 + i, 1)).substring(0,7));
+  return keys;
+}
+
+function monthKeyFromCell_(value, tz) {
+  if (value instanceof Date) return Utilities.formatDate(value, tz, 'yyyy-MM');
+  return ('' + value).trim();
+}
+
+/* ========================= Budget Orders ========================= */
+
+/**
+ * Must run with the account selected. The budget order running today (in the account's time zone
+ * tz) with an end date and a spending limit, as { name, limit, start, end }; null when there is none.
+ */
+function getActiveBudgetOrder_(tz) {
+  var today = parseDate_(Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd'));
+  var it = AdsApp.budgetOrders().get();
+  while (it.hasNext()) {
+    var bo = it.next();
+    var start = parseAdsDate_(bo.getStartDateTime());
+    var end   = parseAdsDate_(bo.getEndDateTime());
+    var limit = bo.getSpendingLimit();
+    if (!start || start > today || (end && end < today)) continue;
+    if (!end || !(limit > 0)) {
+      Logger.log('ℹ️  Active budget order "' + bo.getName() + '" has no end date or no spending limit; using Config.');
+      return null;
+    }
+    if (bo.getTotalAdjustments) limit += Number(bo.getTotalAdjustments()) || 0;
+    return { name: bo.getName(), limit: limit, start: start, end: end };
+  }
+  return null;
+}
+
+/** Budget order dates come back as 'yyyy-MM-dd HH:mm:ss' strings or { year, month, day } objects. */
+function parseAdsDate_(value) {
+  if (!value) return null;
+  if (value.year) return new Date(value.year, value.month - 1, value.day);
+  return parseDate_(('' + value).split(' ')[0]);
+}
+
+function compareBudgetOrder_(configBudget, orderLimit) {
+  if (!(configBudget > 0)) return 'OK (no Config budget)';
+  if (Math.abs(configBudget - orderLimit) <= 0.005 * orderLimit) return 'OK';
+  return 'Mismatch: Config ' + configBudget.toFixed(2) + ' vs. budget order ' + orderLimit.toFixed(2);
+}
+
+/* ========================= Rollover ========================= */
+
+/** { periodKey: budget cap of the period's last History snapshot } for one account. */
+function historyCapsByPeriod_(history, acctId) {
+  var caps = {};
+  (history.byAccount[acctId] || []).forEach(function(r){ caps[historyPeriodKey_(r[3], r[4])] = Number(r[6]); });
+  return caps;
+}
+
+/**
+ * Previous period of an account with rollover (in its own time zone): its dates ('yyyy-MM-dd') and
+ * the cap it was paced against — the last History snapshot (so carries chain across periods), else
+ * the Budget Schedule month or the Config budget. job: the account's collectAccount input.
+ */
+function previousPeriodCap_(job, rowCfg, tz) {
+  var current = periodMeta_(new Date(), tz, rowCfg.period);
+  var prevDay = addDays_(current.start, -1);
+  prevDay.setHours(12); // keep the calendar day whatever the script time zone
+  var prev = periodMeta_(prevDay, tz, rowCfg.period);
+
+  var cap = job.rolloverCaps[prev.key] || 0;
+  if (!(cap > 0) && prev.type === 'MONTH') cap = job.schedule[ymd_(prev.start).substring(0, 7)] || 0;
+  if (!(cap > 0)) cap = rowCfg.configBudget;
+  return { start: ymd_(prev.start), end: ymd_(prev.end), cap: cap };
+}
+
+/** Must run with the account selected. Effective cap = base + (previous cap − previous spend), clamped by limit. */
+function computeRollover_(base, prev, limit) {
+  var prevSpend = getSpendBetween_(prev.start, prev.end);
+  var carried = prev.cap - prevSpend;
+  var max = limit ? (limit.amount || limit.pct * base) : 0;
+  if (max) carried = Math.max(-max, Math.min(max, carried));
+  return { base: base, carried: carried, effective: Math.max(base + carried, 0), prevCap: prev.cap, prevSpend: prevSpend };
+}
+
+/* ========================= Budget Groups ========================= */
+
+var BUDGET_GROUP_HEADERS = ['Account ID','Campaign Label','Monthly Budget','Include? (TRUE/FALSE)'];
+
+function ensureBudgetGroupsSheet_(ss) {
+  var sheet = getOrCreateSheet_(ss, 'Budget Groups');
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1,1,1,BUDGET_GROUP_HEADERS.length).setValues([BUDGET_GROUP_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.getRange(1,2).setNote('Exact campaign label name. Campaigns carrying it make up the group.');
+    sheet.getRange(1,3).setNote('Budget for the account\'s pacing period, in account currency.');
+  }
+  return sheet;
+}
+
+/** { accountId: [{ label, budget }] } for included rows with a positive budget. */
+function readBudgetGroups_(sheet) {
+  var out = {};
+  var last = sheet.getLastRow();
+  if (last < 2) return out;
+  sheet.getRange(2,1,last-1,BUDGET_GROUP_HEADERS.length).getValues().forEach(function(r){
+    var id = (r[0]||'').toString().replace(/-/g,'').trim();
+    var label = (r[1]||'').toString().trim();
+    var budget = Number(r[2]||0);
+    if (!/^\d+$/.test(id) || !label) return;
+    if (r[3] === false || r[3] === 'FALSE') return;
+    if (!(budget > 0)) { Logger.log('⚠️  Budget group without budget skipped: ' + id + ' / ' + label); return; }
+    (out[id] = out[id] || []).push({ label: label, budget: budget });
+  });
+  return out;
+}
+
+/** Must run with the account selected. Collects one label group exactly like an account. */
+function collectBudgetGroup_(group, pCtx, rowCfg) {
+  var campaignIds = getCampaigns_(["LabelNames CONTAINS_ANY ['" + group.label.replace(/'/g, "\\'") + "']"])
+    .map(function(c){ return c.getId(); });
+  if (!campaignIds.length) Logger.log('⚠️  No campaigns carry label "' + group.label + '" in ' + AdsApp.currentAccount().getCustomerId());
+
+  var fetchDaily = function(from, to){ return campaignIds.length ? getDailySpendBetween_(from, to, campaignIds) : []; };
+  var to = periodReportEnd_(pCtx);
+  var daily = to ? fetchDaily(pCtx.start, to) : [];
+  var spend = sumCost_(daily);
+
+  var perDay   = buildPerDayRows_(daily, group.budget, pCtx);
+  var forecast = runForecast_(rowCfg.forecastModel, perDay, pCtx, spend, fetchDaily);
+  return {
+    label: group.label,
+    perDay: serializePerDay_(perDay),
+    forecast: slimForecast_(forecast),
+    pacing: computePacing_(group.budget, spend, pCtx, forecast, perDay)
+  };
+}
 
-  // Chart anchored at E1
-  var CHART_ANCHOR_ROW = 1, CHART_ANCHOR_COL = 5, CHART_HEIGHT_ROWS = 18;
-  var chartBottomRow = CHART_ANCHOR_ROW + CHART_HEIGHT_ROWS;
+/**
+ * Must run with the account selected. The Config pacing metric against its Metric Target, shaped
+ * like a budget group. CONVERSIONS also carry { toDate, target } CPA (target needs a budget).
+ */
+function collectMetricGoal_(rowCfg, pCtx, spendMtd, budgetCap) {
+  var metric = rowCfg.metric;
+  var fetchDaily = function(from, to){ return getDailySpendBetween_(from, to, null, metric); };
+  var to = periodReportEnd_(pCtx);
+  var daily = to ? fetchDaily(pCtx.start, to) : [];
+  var total = sumCost_(daily);
+
+  var perDay   = buildPerDayRows_(daily, rowCfg.metricTarget, pCtx);
+  var forecast = runForecast_(rowCfg.forecastModel, perDay, pCtx, total, fetchDaily);
+  var pacing   = computePacing_(rowCfg.metricTarget, total, pCtx, forecast, perDay);
+  pacing.riskScore = 0; // an overspend score; beating a metric goal is no risk
+  return {
+    label: METRICS[metric].label + ' goal',
+    metric: metric,
+    budgetSource: 'Config (' + METRICS[metric].label.toLowerCase() + ' target)',
+    perDay: serializePerDay_(perDay),
+    forecast: slimForecast_(forecast),
+    pacing: pacing,
+    cpa: metric === 'CONVERSIONS'
+      ? { toDate: total > 0 ? spendMtd / total : null, target: budgetCap > 0 ? budgetCap / rowCfg.metricTarget : null }
+      : null
+  };
+}
+
+/* ========================= Alerts ========================= */
+
+/** Emails one HTML digest per recipient. Suppresses repeats via ALERT_STATE unless the status changed. */
+function sendAlertDigest_(summaries, isPreview) {
+  var previous = loadJsonProperty_(PROP.ALERT_STATE);
+  var current = {};
+  var alerting = [];
+
+  summaries.forEach(function(s){
+    if (s.error) { if (previous[s.key]) current[s.key] = previous[s.key]; return; } // no data: keep last state
+    var status  = paceStatus_(s.paceDeltaPct, s.thresholds);
+    var overCap = isSpendRow_(s) && s.budgetCap > 0 && s.projectedEom > s.budgetCap; // beating a metric goal is fine
+    var key = status + (overCap ? '+OVER_CAP' : '');
+    current[s.key] = key;
+
+    if (status === 'GREEN' && !overCap) return;
+    if (ALERT_ONLY_ON_CHANGE && previous[s.key] === key) return;
+    alerting.push({ s: s, status: status, overCap: overCap });
+  });
+
+  var byRecipient = {};
+  var globalTo = parseList_(ALERT_EMAILS);
+  alerting.forEach(function(a){
+    globalTo.concat(a.s.alertEmails || []).forEach(function(email){
+      var k = email.toLowerCase();
+      (byRecipient[k] = byRecipient[k] || []).push(a);
+    });
+  });
+
+  var sent = 0;
+  var subjectDate = Utilities.formatDate(new Date(), getTz_(), 'yyyy-MM-dd');
+  for (var to in byRecipient) {
+    if (!byRecipient.hasOwnProperty(to)) continue;
+    var list = byRecipient[to];
+    try {
+      MailApp.sendEmail({
+        to: to,
+        subject: (isPreview ? '[PREVIEW] ' : '') + 'Budget Pacing: ' + list.length + ' account(s) need attention — ' + subjectDate,
+        htmlBody: buildAlertDigestHtml_(list)
+      });
+      sent++;
+    } catch (e) {
+      Logger.log('❌ Alert email to ' + to + ' failed: ' + e);
+    }
+  }
+
+  // Previews must not suppress the alerts of the next real run.
+  if (!isPreview) saveJsonProperty_(PROP.ALERT_STATE, current);
+
+  Logger.log('📧 Alerts — accounts: ' + alerting.length + ', emails sent: ' + sent);
+  return { accounts: alerting.length, emailsSent: sent };
+}
+
+function buildAlertDigestHtml_(list) {
+  var colors = { RED: '#FADBD8', YELLOW: '#FDEBD0', GREEN: '#D5F5E3' };
+  var th = 'style="text-align:left;padding:4px 8px;border-bottom:1px solid #ccc"';
+  var td = 'style="padding:4px 8px;border-bottom:1px solid #eee"';
+  var html = ['<table style="border-collapse:collapse;font-family:Arial,sans-serif;font-size:13px">',
+    '<tr>' + ['Account','Status','Spend to Date','Target To Date','Projected EoM','Budget Cap','Rec. Daily',''].map(function(h){
+      return '<th ' + th + '>' + h + '</th>';
+    }).join('') + '</tr>'];
+
+  list.forEach(function(a){
+    var s = a.s;
+    var status = trendLabel_(s.paceDeltaPct, s.thresholds) + (a.overCap ? ' · Projected over cap' : '');
+    html.push('<tr style="background:' + colors[a.status] + '">' + [
+      escapeHtml_(s.accountName + (s.groupLabel ? ' › ' + s.groupLabel : '')) + '<br><span style="color:#777">' + s.accountId + '</span>',
+      escapeHtml_(status),
+      formatAmount_(s.spendMtd, s),
+      formatAmount_(s.targetToDate, s),
+      formatAmount_(s.projectedEom, s),
+      formatAmount_(s.budgetCap, s),
+      formatAmount_(s.recDaily, s),
+      '<a href="' + escapeHtml_(s.sheetUrl) + '">Open tab</a>'
+    ].map(function(v){ return '<td ' + td + '>' + v + '</td>'; }).join('') + '</tr>');
+  });
 
-  var startRow = Math.max(kpis.length + 3, chartBottomRow + 2);
-  var headers = [
-    'Date','Cost (Day)','Cumulative Spend','Target Daily Spend',
-    'Cumulative Forecast','Daily Gap (vs Target Daily)','Cumulative Gap (vs Target)',
-    'Running Pace %','Projected EoM Spend','Recommended Daily Budget'
+  html.push('</table>');
+  return html.join('');
+}
+
+/* ========================= Webhooks ========================= */
+
+/**
+ * Payload builders by format: each turns the notification model from buildWebhookSummary_ into
+ * the JSON body a chat service expects. Add a key here to support another service.
+ */
+var WEBHOOK_FORMATTERS = {
+  SLACK: webhookSlack_,
+  TEAMS: webhookTeams_,
+  CHAT:  webhookChat_,
+  RAW:   function(n){ return n; }
+};
+
+/**
+ * Posts one summary per webhook URL: global URLs cover every account, per-account URLs only
+ * theirs. WEBHOOK_STATE keeps, per URL, the date and statuses of its last delivered post; a URL
+ * already posted on runDate is only posted again when one of its accounts changed status since.
+ * Previews only log the payloads. fetcher defaults to UrlFetchApp. Returns "sent/total" for the END RUN banner.
+ */
+function sendWebhooks_(summaries, overviewUrl, runDate, isPreview, fetcher) {
+  var state = loadJsonProperty_(PROP.WEBHOOK_STATE);
+
+  var byUrl = {};
+  var add = function(url, s){ (byUrl[url] = byUrl[url] || []).push(s); };
+  parseList_(WEBHOOK_URLS).forEach(function(url){ summaries.forEach(function(s){ add(url, s); }); });
+  summaries.forEach(function(s){ (s.webhookUrls || []).forEach(function(url){ add(url, s); }); });
+
+  var next = {};
+  var sent = 0, total = 0, unchanged = 0;
+  for (var url in byUrl) {
+    if (!byUrl.hasOwnProperty(url)) continue;
+    var last = (state[url] && state[url].status) ? state[url] : { date: '', status: {} };
+    next[url] = last;
+    var current = {};
+    byUrl[url].forEach(function(s){
+      current[s.key] = s.error ? (last.status[s.key] || '') : paceStatus_(s.paceDeltaPct, s.thresholds);
+    });
+    var changed = byUrl[url].some(function(s){ return (last.status[s.key] || '') !== current[s.key]; });
+    if (last.date === runDate && !changed) { unchanged++; continue; }
+
+    total++;
+    var format = webhookFormatFor_(url);
+    var payload = WEBHOOK_FORMATTERS[format](buildWebhookSummary_(byUrl[url], last.status, current, overviewUrl, isPreview));
+    if (isPreview) {
+      Logger.log('👀 Preview, not posting to ' + webhookHost_(url) + ': ' + JSON.stringify(payload));
+      continue;
+    }
+    if (postWebhook_(url, payload, fetcher)) {
+      sent++;
+      next[url] = { date: runDate, status: current }; // failed posts keep the old state and are retried next run
+    }
+  }
+
+  if (!isPreview) saveJsonProperty_(PROP.WEBHOOK_STATE, next);
+  if (total || unchanged) Logger.log('💬 Webhooks — posted ' + sent + ' of ' + total + (unchanged ? ', ' + unchanged + ' skipped (no status change since today\'s post)' : ''));
+  return sent + '/' + total;
+}
+
+function webhookFormatFor_(url) {
+  if (/hooks\.slack\.com/i.test(url)) return 'SLACK';
+  if (/\.webhook\.office\.com|outlook\.office\.com|logic\.azure\.com/i.test(url)) return 'TEAMS';
+  if (/chat\.googleapis\.com/i.test(url)) return 'CHAT';
+  var f = ('' + WEBHOOK_FORMAT).toUpperCase();
+  return WEBHOOK_FORMATTERS[f] ? f : 'RAW';
+}
+
+/** Format-neutral notification: status changes, worst pacers and counts as plain text lines. */
+function buildWebhookSummary_(list, previous, current, overviewUrl, isPreview) {
+  var ok = list.filter(function(s){ return !s.error; });
+  var counts = { RED: 0, YELLOW: 0, GREEN: 0 };
+  ok.forEach(function(s){ counts[current[s.key]]++; });
+
+  var line = function(s){
+    return s.accountName + (s.groupLabel ? ' › ' + s.groupLabel : '') + ' (' + s.accountId + '): ' +
+      trendLabel_(s.paceDeltaPct, s.thresholds) + ', ' + (isSpendRow_(s) ? 'spend' : METRICS[s.metric].label.toLowerCase()) + ' ' +
+      formatAmount_(s.spendMtd, s) + ' of ' + formatAmount_(s.budgetCap, s);
+  };
+  var changes = ok.filter(function(s){ return previous[s.key] && previous[s.key] !== current[s.key]; })
+    .map(function(s){ return previous[s.key] + ' → ' + current[s.key] + ' · ' + line(s); });
+  var byDelta = ok.slice().sort(function(a, b){ return b.paceDeltaPct - a.paceDeltaPct; });
+  var over  = byDelta.filter(function(s){ return s.paceDeltaPct > 0; }).slice(0, WEBHOOK_TOP_N).map(line);
+  var under = byDelta.filter(function(s){ return s.paceDeltaPct < 0; }).reverse().slice(0, WEBHOOK_TOP_N).map(line);
+
+  return {
+    title: (isPreview ? '[PREVIEW] ' : '') + 'Budget Pacing — ' + Utilities.formatDate(new Date(), getTz_(), 'yyyy-MM-dd HH:mm'),
+    subtitle: ok.length + ' budget(s): ' + counts.RED + ' red, ' + counts.YELLOW + ' yellow, ' + counts.GREEN + ' green' +
+      (list.length > ok.length ? ', ' + (list.length - ok.length) + ' failed' : ''),
+    worst: counts.RED ? 'RED' : (counts.YELLOW ? 'YELLOW' : 'GREEN'),
+    sections: [
+      { title: 'Status changes since last post', lines: changes.length ? changes : ['None'] },
+      { title: 'Most over target', lines: over.length ? over : ['None'] },
+      { title: 'Most under target', lines: under.length ? under : ['None'] }
+    ],
+    overviewUrl: overviewUrl
+  };
+}
+
+function webhookSlack_(n) {
+  var esc = function(t){ return ('' + t).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); };
+  var blocks = [
+    { type: 'header', text: { type: 'plain_text', text: n.title } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: esc(n.subtitle) }] }
   ];
-  sheet.getRange(startRow,1,1,headers.length).setValues([headers]).setFontWeight('bold');
-
-  if (ctx.perDay.length) {
-    var vals = ctx.perDay.map(function(r){
-      return [
-        r.date, r.cost, r.cumSpend, r.targetDaily,
-        r.cumForecastWma, r.gap, r.cumGap,
-        r.runningPacePct, r.projectedEomWmaAtDay, r.recDaily
-      ];
+  n.sections.forEach(function(sec){
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '*' + esc(sec.title) + '*\n' + sec.lines.map(function(l){ return '• ' + esc(l); }).join('\n') } });
+  });
+  blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '<' + n.overviewUrl + '|Open the Overview>' } });
+  return { text: n.title + ' — ' + n.subtitle, blocks: blocks };
+}
+
+function webhookTeams_(n) {
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: n.title,
+    themeColor: { RED: 'C0392B', YELLOW: 'E67E22', GREEN: '27AE60' }[n.worst],
+    title: n.title,
+    text: n.subtitle,
+    sections: n.sections.map(function(sec){
+      return { activityTitle: sec.title, text: sec.lines.map(function(l){ return '- ' + l; }).join('\n\n') };
+    }),
+    potentialAction: [{ '@type': 'OpenUri', name: 'Open the Overview', targets: [{ os: 'default', uri: n.overviewUrl }] }]
+  };
+}
+
+function webhookChat_(n) {
+  var sections = n.sections.map(function(sec){
+    return { header: sec.title, widgets: [{ textParagraph: { text: sec.lines.map(escapeHtml_).join('<br>') } }] };
+  });
+  sections.push({ widgets: [{ buttonList: { buttons: [{ text: 'Open the Overview', onClick: { openLink: { url: n.overviewUrl } } }] } }] });
+  return {
+    text: n.title,
+    cardsV2: [{ cardId: 'budgetPacing', card: { header: { title: n.title, subtitle: n.subtitle }, sections: sections } }]
+  };
+}
+
+/** Scheme and host only, so tokens in the path stay out of the log. */
+function webhookHost_(url) {
+  return url.replace(/^(https?:\/\/[^\/]+).*$/, '$1');
+}
+
+/** POST with retries on exceptions, 429 and 5xx; every failure is logged. Returns true on 2xx. */
+function postWebhook_(url, payload, fetcher) {
+  fetcher = fetcher || UrlFetchApp;
+  var host = webhookHost_(url);
+  for (var attempt = 0; attempt <= WEBHOOK_MAX_RETRIES; attempt++) {
+    if (attempt) {
+      Logger.log('🔁 Webhook retry ' + attempt + '/' + WEBHOOK_MAX_RETRIES + ' → ' + host);
+      Utilities.sleep(1000 * Math.pow(2, attempt - 1));
+    }
+    try {
+      var res = fetcher.fetch(url, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify(payload),
+        muteHttpExceptions: true
+      });
+      var code = res.getResponseCode();
+      if (code >= 200 && code < 300) return true;
+      Logger.log('⚠️  Webhook ' + host + ' answered ' + code + ': ' + ('' + res.getContentText()).substring(0, 200));
+      if (code !== 429 && code < 500) return false; // not worth retrying
+    } catch (e) {
+      Logger.log('⚠️  Webhook ' + host + ' failed: ' + e);
+    }
+  }
+  Logger.log('❌ Webhook ' + host + ' gave up after ' + (WEBHOOK_MAX_RETRIES + 1) + ' attempt(s)');
+  return false;
+}
+
+/* ========================= Budget Auto-Adjust ========================= */
+
+var BUDGET_CHANGES_HEADERS = [
+  'Run Date','Account Name','Account ID','Budget Name','Budget ID','Campaigns',
+  'Current Daily Budget','Proposed Daily Budget','Change %','Action','Note'
+];
+
+/** Must run with the account selected. Returns one Budget Changes row per campaign budget. */
+function adjustCampaignBudgets_(acctName, acctId, recDaily, dryRun) {
+  var budgets = {}, order = [];
+  getEnabledCampaigns_().forEach(function(c){
+    var b = c.getBudget();
+    if (!b || !b.getAmount()) return; // skips total (non-daily) budgets
+    var id = String(b.getId());
+    if (!budgets[id]) {
+      budgets[id] = { budget: b, name: b.getName(), current: b.getAmount(), campaigns: [] };
+      order.push(id);
+    }
+    budgets[id].campaigns.push(c.getName()); // shared budgets are counted once
+  });
+
+  var total = order.reduce(function(sum, id){ return sum + budgets[id].current; }, 0);
+  var runDate = new Date();
+  var rows = [];
+
+  order.forEach(function(id){
+    var b = budgets[id];
+    var ideal = total > 0 ? recDaily * (b.current / total) : 0;
+    var lo = b.current * (1 - AUTO_ADJUST_MAX_CHANGE_PCT);
+    var hi = b.current * (1 + AUTO_ADJUST_MAX_CHANGE_PCT);
+    var proposed = Math.round(Math.min(Math.max(ideal, lo), hi) * 100) / 100;
+    var changePct = proposed / b.current - 1;
+    var note = (ideal < lo || ideal > hi) ? ('Limited to ±' + Math.round(AUTO_ADJUST_MAX_CHANGE_PCT * 100) + '% (ideal ' + ideal.toFixed(2) + ')') : '';
+
+    var action;
+    if (Math.abs(changePct) < AUTO_ADJUST_MIN_CHANGE_PCT) {
+      action = 'Skipped (below min change)';
+    } else if (dryRun) {
+      action = 'Dry run';
+    } else {
+      try {
+        b.budget.setAmount(proposed);
+        action = 'Applied';
+      } catch (e) {
+        action = 'Error';
+        note = '' + e;
+      }
+    }
+
+    rows.push([
+      runDate, acctName, acctId, b.name, id, b.campaigns.join(', '),
+      b.current, proposed, changePct, action, note
+    ]);
+  });
+
+  Logger.log('💸 Auto-adjust ' + acctId + ' — budgets: ' + rows.length + (dryRun ? ' (dry run)' : ''));
+  return rows;
+}
+
+function getEnabledCampaigns_() {
+  return getCampaigns_(['Status = ENABLED']);
+}
+
+/** Search, Shopping, PMax and Video campaigns matching every condition. */
+function getCampaigns_(conditions) {
+  var out = [];
+  [AdsApp.campaigns(), AdsApp.shoppingCampaigns(), AdsApp.performanceMaxCampaigns(), AdsApp.videoCampaigns()]
+    .forEach(function(selector){
+      conditions.forEach(function(cond){ selector = selector.withCondition(cond); });
+      var it = selector.get();
+      while (it.hasNext()) out.push(it.next());
     });
-    sheet.getRange(startRow+1,1,vals.length,headers.length).setValues(vals);
-
-    sheet.getRange(startRow+1,1,vals.length,1).setNumberFormat('yyyy-mm-dd');
-    sheet.getRange(startRow+1,2,vals.length,6).setNumberFormat('0.00');
-    sheet.getRange(startRow+1,9,vals.length,2).setNumberFormat('0.00');
-    sheet.getRange(startRow+1,8,vals.length,1).setNumberFormat('0.00%');
-
-    var widths = [110,110,140,150,170,160,170,130,180,180];
-    for (var c=1;c<=widths.length;c++) sheet.setColumnWidth(c, widths[c-1]);
-    sheet.setFrozenRows(0);
-
-    var ticks = buildWeeklyTicksFromPerDay_(ctx.perDay);
-
-    var rowsWithHeader = vals.length + 1;
-    var chart = sheet.newChart()
-      .asLineChart()
-      .addRange(sheet.getRange(startRow, 1, rowsWithHeader, 1)) // Date
-      .addRange(sheet.getRange(startRow, 3, rowsWithHeader, 1)) // Cumulative Spend
-      .addRange(sheet.getRange(startRow, 5, rowsWithHeader, 1)) // Cumulative Forecast
-      .setPosition(CHART_ANCHOR_ROW, CHART_ANCHOR_COL, 0, 0)    // E1
-      .setOption('title','Pacing — Spend vs Forecast (This Month)')
-      .setOption('legend',{ position:'right' })
-      .setOption('useFirstColumnAsDomain', true)
-      .setOption('useFirstRowAsHeaders', true)
-      .setOption('series', {
-        0: { labelInLegend: 'Cumulative Spend' },
-        1: { labelInLegend: 'Cumulative Forecast' }
-      })
-      .setOption('width', 720)
-      .setOption('height', 300)
-      .setOption('hAxis', { format: 'MMM d', ticks: ticks })
-      .build();
-    sheet.insertChart(chart);
+  return out;
+}
+
+/** Appends to the Budget Changes tab, the only record of applied budget edits, so it is never cleared. */
+function appendBudgetChanges_(ss, rows) {
+  if (!rows.length) return;
+  var sheet = getOrCreateSheet_(ss, 'Budget Changes');
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1,1,1,BUDGET_CHANGES_HEADERS.length).setValues([BUDGET_CHANGES_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
   }
+  var start = sheet.getLastRow() + 1;
+  sheet.getRange(start,1,rows.length,BUDGET_CHANGES_HEADERS.length).setValues(rows);
+  sheet.getRange(start,1,rows.length,1).setNumberFormat('yyyy-mm-dd hh:mm');
+  sheet.getRange(start,7,rows.length,2).setNumberFormat('0.00');
+  sheet.getRange(start,9,rows.length,1).setNumberFormat('0.00%');
+  sheet.autoResizeColumns(1, BUDGET_CHANGES_HEADERS.length);
 }
 
-/* ========================= Dates & Math ========================= */
+/* ========================= Hard Cap ========================= */
 
-function monthMeta_(today, tz) {
-  var y  = Number(Utilities.formatDate(today, tz, 'yyyy'));
-  var m0 = Number(Utilities.formatDate(today, tz, 'M')) - 1;
-  var first = new Date(y, m0, 1);
-  var next  = new Date(y, m0 + 1, 1);
-  var end   = new Date(next.getTime() - 24*60*60*1000);
-  var daysInMonth = end.getDate();
-  var daysElapsed = Math.min(Number(Utilities.formatDate(today, tz, 'd')), daysInMonth);
-  return { tz: tz, y: y, m0: m0, first: first, daysInMonth: daysInMonth, daysElapsed: daysElapsed };
+var HARD_CAP_AUDIT_HEADERS = [
+  'Timestamp','Account Name','Account ID','Campaign','Campaign ID','Action',
+  'Spend to Date','Budget Cap','Pause Threshold'
+];
+
+/**
+ * Must run with the account selected. Pauses and labels every enabled campaign once spend reaches
+ * pausePct of the cap, once per period (monthKey), so a manual re-enable is respected. Preview runs
+ * only report. pausedFor is the period key from HARD_CAP_STATE; returns { rows, pausedFor }.
+ */
+function enforceHardCap_(acctName, acctId, spendMtd, budgetCap, pausePct, monthKey, pausedFor, isPreview) {
+  var threshold = budgetCap * pausePct;
+  var now = new Date();
+  var rows = [];
+
+  if (pausePct > 0 && budgetCap > 0 && spendMtd >= threshold && pausedFor !== monthKey) {
+    if (!isPreview) ensureLabel_(HARD_CAP_LABEL);
+    getEnabledCampaigns_().forEach(function(c){
+      if (!isPreview) { c.pause(); c.applyLabel(HARD_CAP_LABEL); }
+      rows.push([now, acctName, acctId, c.getName(), String(c.getId()), (isPreview ? 'WOULD ' : '') + 'PAUSE',
+        spendMtd, budgetCap, threshold]);
+    });
+    if (!isPreview) pausedFor = monthKey;
+  }
+
+  if (rows.length) Logger.log('🛑 Hard cap ' + acctId + ' — ' + rows.length + ' campaign action(s)' + (isPreview ? ' (preview)' : ''));
+  return { rows: rows, pausedFor: pausedFor };
 }
 
-function getDailySpendThisMonth_() {
-  var awql = 'SELECT Date, Cost FROM ACCOUNT_PERFORMANCE_REPORT DURING THIS_MONTH';
+/** Must run with the account selected: re-enables the campaigns the hard cap paused for period pausedFor. */
+function resumeHardCap_(acctName, acctId, pausedFor, isPreview) {
+  var now = new Date();
   var rows = [];
-  var report = AdsApp.report(awql);
-  var it = report.rows();
+  getCampaigns_(['Status = PAUSED', "LabelNames CONTAINS_ANY ['" + HARD_CAP_LABEL + "']"]).forEach(function(c){
+    if (!isPreview) { c.enable(); c.removeLabel(HARD_CAP_LABEL); }
+    rows.push([now, acctName, acctId, c.getName(), String(c.getId()), (isPreview ? 'WOULD ' : '') + 'RESUME', '', '', '']);
+  });
+  if (rows.length) Logger.log('▶️  Hard cap ' + acctId + ' — resumed ' + rows.length + ' campaign(s) paused for ' + pausedFor + (isPreview ? ' (preview)' : ''));
+  return { rows: rows, pausedFor: isPreview ? pausedFor : '' };
+}
+
+/**
+ * Accounts this run does not collect (Include = FALSE, invalid or removed Config rows) would keep
+ * their hard-capped campaigns paused forever; resume them once the period they were paused for ends.
+ */
+function resumeHardCapsOutsideRun_(run) {
+  var state = loadJsonProperty_(PROP.HARD_CAP_STATE);
+  var ids = Object.keys(state).filter(function(id){ return run.ids.indexOf(id) === -1; });
+  if (!ids.length) return;
+  var mcc = AdsApp.currentAccount();
+  var results = [], audit = [];
+  var it = MccApp.accounts().withIds(ids).get();
   while (it.hasNext()) {
-    var r = it.next();
-    var d = r['Date'].split('-');
-    rows.push({ date: new Date(+d[0], +d[1]-1, +d[2]), cost: parseFloat(r['Cost']) || 0 });
+    var account = it.next();
+    var acctId = account.getCustomerId().replace(/-/g,'');
+    var periodEnd = state[acctId].split('..')[1];
+    if (periodEnd >= Utilities.formatDate(new Date(), account.getTimeZone(), 'yyyy-MM-dd')) continue;
+    MccApp.select(account);
+    var resumed = resumeHardCap_(account.getName(), acctId, state[acctId], run.isPreview);
+    MccApp.select(mcc);
+    audit = audit.concat(resumed.rows);
+    results.push({ accountId: acctId, hardCapPausedFor: resumed.pausedFor });
   }
-  rows.sort(function(a,b){ return a.date - b.date; });
-  return rows;
+  if (!run.isPreview) saveHardCapState_(results);
+  appendHardCapAudit_(run.ss, audit);
+}
+
+/**
+ * Stores the hard-cap periods returned by the workers in one write; parallel workers must not
+ * update the shared property themselves.
+ */
+function saveHardCapState_(collected) {
+  var state = loadJsonProperty_(PROP.HARD_CAP_STATE);
+  var changed = false;
+  collected.forEach(function(data){
+    if (data.error || data.hardCapPausedFor === undefined) return;
+    if ((state[data.accountId] || '') === data.hardCapPausedFor) return;
+    if (data.hardCapPausedFor) state[data.accountId] = data.hardCapPausedFor;
+    else delete state[data.accountId];
+    changed = true;
+  });
+  if (changed) saveJsonProperty_(PROP.HARD_CAP_STATE, state);
+}
+
+function ensureLabel_(name) {
+  if (!AdsApp.labels().withCondition("Name = '" + name + "'").get().hasNext()) {
+    AdsApp.createLabel(name, 'Applied by the budget pacing script');
+  }
+}
+
+/** Hard Cap Audit is append-only so the history of pauses/resumes is kept across runs. */
+function appendHardCapAudit_(ss, rows) {
+  if (!rows.length) return;
+  var sheet = getOrCreateSheet_(ss, 'Hard Cap Audit');
+  if (sheet.getLastRow() === 0) {
+    sheet.getRange(1,1,1,HARD_CAP_AUDIT_HEADERS.length).setValues([HARD_CAP_AUDIT_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  var start = sheet.getLastRow() + 1;
+  sheet.getRange(start,1,rows.length,HARD_CAP_AUDIT_HEADERS.length).setValues(rows);
+  sheet.getRange(start,1,rows.length,1).setNumberFormat('yyyy-mm-dd hh:mm');
+  sheet.getRange(start,7,rows.length,3).setNumberFormat('0.00');
+}
+
+/* ========================= History & Forecast Accuracy ========================= */
+
+var HISTORY_HEADERS = [
+  'Run Date','Account ID','Account Name','Period Start','Period End','Days Elapsed',
+  'Budget Cap','Spend to Date','Target Spend To Date','Projected EoM Spend',
+  'Forecast Daily Avg','Recommended Daily Spend','Account Currency','Forecast Model'
+];
+
+var ACCURACY_HEADERS = [
+  'Closed On','Account ID','Account Name','Period Start','Period End','Budget Cap','Final Spend',
+  'Snapshots','Mean Abs Error % (Projected EoM)','Bias % (+ over / − under)','Worst Error %',
+  'Mean Abs Error % (last 7 days)','Forecast Model(s)'
+];
+
+/** Loads History once per run; new snapshots and closeouts are buffered until flushHistory_. */
+function openHistory_(ss) {
+  var hss = HISTORY_SHEET_URL ? SpreadsheetApp.openByUrl(HISTORY_SHEET_URL) : ss;
+  var sheet    = getOrCreateSheet_(hss, 'History');
+  var accuracy = getOrCreateSheet_(hss, 'Forecast Accuracy');
+  [[sheet, HISTORY_HEADERS], [accuracy, ACCURACY_HEADERS]].forEach(function(p){
+    if (p[0].getLastRow() > 0 && p[0].getLastColumn() >= p[1].length) return;
+    p[0].getRange(1,1,1,p[1].length).setValues([p[1]]).setFontWeight('bold'); // new columns are appended
+    p[0].setFrozenRows(1);
+  });
+
+  var rows = sheet.getLastRow() >= 2
+    ? sheet.getRange(2,1,sheet.getLastRow()-1,HISTORY_HEADERS.length).getValues() : [];
+  var byAccount = {};
+  rows.forEach(function(r){
+    var id = r[1].toString();
+    (byAccount[id] = byAccount[id] || []).push(r);
+  });
+
+  var closed = {};
+  if (accuracy.getLastRow() >= 2) {
+    accuracy.getRange(2,2,accuracy.getLastRow()-1,4).getValues().forEach(function(r){
+      closed[r[0] + '|' + historyPeriodKey_(r[2], r[3])] = true;
+    });
+  }
+  return { sheet: sheet, accuracy: accuracy, rows: rows, byAccount: byAccount, closed: closed,
+           newRows: [], accuracyRows: [] };
 }
 
-/** Build base per-day series across entire month (actuals + zeros for future) */
-function buildPerDayRows_(daily, monthlyBudget, mCtx) {
+function recordHistory_(history, s, pCtx) {
+  history.newRows.push([
+    ymd_(pCtx.today), s.accountId, s.accountName, ymd_(pCtx.start), ymd_(pCtx.end), s.daysElapsed,
+    s.budgetCap, s.spendMtd, s.targetToDate, s.projectedEom,
+    s.forecastDaily, s.recDaily, s.currency, s.forecastModel
+  ]);
+}
+
+/** Ended, not yet closed History periods of an account: [{ key, start, end }] ('yyyy-MM-dd'). */
+function pendingCloseouts_(history, acctId, today) {
+  var periods = {};
+  (history.byAccount[acctId] || []).forEach(function(r){
+    var end = parseDate_(r[4]);
+    var key = historyPeriodKey_(r[3], r[4]);
+    if (!end || end >= today || history.closed[acctId + '|' + key] || periods[key]) return;
+    periods[key] = { key: key, start: ymd_(parseDate_(r[3])), end: ymd_(end) };
+  });
+  return Object.keys(periods).map(function(k){ return periods[k]; });
+}
+
+/** Scores each day's Projected EoM of a closed period (c: { key, finalSpend }) against its final spend. */
+function scoreCloseout_(history, acctId, acctName, c, today) {
+  var snaps = (history.byAccount[acctId] || []).filter(function(r){ return historyPeriodKey_(r[3], r[4]) === c.key; });
+  if (!snaps.length || history.closed[acctId + '|' + c.key]) return;
+  var start = parseDate_(snaps[0][3]), end = parseDate_(snaps[0][4]);
+  var finalSpend = c.finalSpend;
+
+  var errs = [], lastWeek = [];
+  snaps.forEach(function(r){
+    if (finalSpend <= 0) return;
+    var err = (Number(r[9]) - finalSpend) / finalSpend;
+    errs.push(err);
+    if (daysBetween_(parseDate_(r[0]), end) < 7) lastWeek.push(err);
+  });
+  var models = {};
+  snaps.forEach(function(r){ if (r[13]) models[r[13]] = true; });
+  var meanAbs = function(list){ return list.length ? list.reduce(function(a,e){ return a + Math.abs(e); }, 0) / list.length : ''; };
+
+  history.accuracyRows.push([
+    ymd_(today), acctId, acctName, ymd_(start), ymd_(end), Number(snaps[snaps.length-1][6]), finalSpend,
+    snaps.length,
+    meanAbs(errs),
+    errs.length ? errs.reduce(function(a,e){ return a + e; }, 0) / errs.length : '',
+    errs.length ? errs.reduce(function(a,e){ return Math.abs(e) > Math.abs(a) ? e : a; }, 0) : '',
+    meanAbs(lastWeek),
+    Object.keys(models).join(', ') || 'WMA'
+  ]);
+  history.closed[acctId + '|' + c.key] = true;
+  Logger.log('📈 Forecast closeout ' + acctId + ' ' + c.key + ' — final spend ' + finalSpend.toFixed(2));
+}
+
+/** Appends new snapshots; a same-day re-run replaces that day's rows instead of duplicating them. */
+function flushHistory_(history) {
+  if (history.newRows.length) {
+    var fresh = {};
+    history.newRows.forEach(function(r){ fresh[r[0] + '|' + r[1]] = true; });
+    var kept = history.rows.filter(function(r){
+      return !fresh[ymd_(parseDate_(r[0]) || new Date(0)) + '|' + r[1]];
+    });
+    var sheet = history.sheet;
+    var w = HISTORY_HEADERS.length;
+    if (kept.length === history.rows.length) {
+      var start = sheet.getLastRow() + 1;
+      sheet.getRange(start,1,history.newRows.length,w).setValues(history.newRows);
+    } else {
+      var all = kept.concat(history.newRows);
+      sheet.getRange(2,1,sheet.getLastRow()-1,w).clearContent();
+      sheet.getRange(2,1,all.length,w).setValues(all);
+    }
+    var n = sheet.getLastRow() - 1;
+    sheet.getRange(2,1,n,1).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2,4,n,2).setNumberFormat('yyyy-mm-dd');
+    sheet.getRange(2,7,n,6).setNumberFormat('0.00');
+  }
+
+  if (history.accuracyRows.length) {
+    var acc = history.accuracy;
+    var aStart = acc.getLastRow() + 1;
+    acc.getRange(aStart,1,history.accuracyRows.length,ACCURACY_HEADERS.length).setValues(history.accuracyRows);
+    acc.getRange(aStart,6,history.accuracyRows.length,2).setNumberFormat('0.00');
+    acc.getRange(aStart,9,history.accuracyRows.length,4).setNumberFormat('0.00%');
+  }
+}
+
+function historyPeriodKey_(startCell, endCell) {
+  var start = parseDate_(startCell), end = parseDate_(endCell);
+  return (start ? ymd_(start) : '') + '..' + (end ? ymd_(end) : '');
+}
+
+/* ========================= Client Spreadsheets ========================= */
+
+/**
+ * The account's own spreadsheet and its owned tabs, opened once per run. Created (and its ID
+ * stored) on first use or when the stored one is gone; viewers are synced with Config each run.
+ */
+function getClientSpreadsheet_(run, acctId, acctName, tz) {
+  if (run.clients[acctId]) return run.clients[acctId];
+  var props = PropertiesService.getScriptProperties();
+  var id = props.getProperty(PROP.CLIENT_SS_PREFIX + acctId);
+  var ss = null;
+  if (id) {
+    try { ss = SpreadsheetApp.openById(id); }
+    catch (e) { Logger.log('⚠️  Client spreadsheet ' + id + ' of ' + acctId + ' cannot be opened (' + e + '); creating a new one.'); }
+  }
+  if (!ss) {
+    ss = SpreadsheetApp.create(CLIENT_SPREADSHEET_PREFIX + makeAccountTabName_(acctName, acctId));
+    ss.setSpreadsheetTimeZone(tz);
+    // The default first tab becomes the account tab, so the new spreadsheet has no stray "Sheet1".
+    setSheetMeta_(ss.getSheets()[0], META.TAB, acctId);
+    props.setProperty(PROP.CLIENT_SS_PREFIX + acctId, ss.getId());
+    Logger.log('🆕 Created client spreadsheet for ' + acctId + ': ' + ss.getUrl());
+  }
+  syncViewers_(ss, run.cfg.index[acctId].viewerEmails, run.isPreview);
+  run.clients[acctId] = { ss: ss, owned: indexOwnedTabs_(ss) };
+  return run.clients[acctId];
+}
+
+/** Makes emails exactly the view-only users of ss; editors and the owner are never touched. Preview runs only log. */
+function syncViewers_(ss, emails, isPreview) {
+  var wanted = {};
+  emails.forEach(function(e){ wanted[e.toLowerCase()] = true; });
+  var current = {};
+  ss.getViewers().forEach(function(u){ current[u.getEmail().toLowerCase()] = true; });
+  var editors = {};
+  ss.getEditors().forEach(function(u){ editors[u.getEmail().toLowerCase()] = true; });
+
+  var add = Object.keys(wanted).filter(function(e){ return !current[e] && !editors[e]; });
+  var remove = Object.keys(current).filter(function(e){ return !wanted[e] && !editors[e]; });
+  if (!add.length && !remove.length) return;
+  if (isPreview) {
+    Logger.log('👥 Would share "' + ss.getName() + '" with [' + add.join(', ') + '] and unshare [' + remove.join(', ') + '] (preview)');
+    return;
+  }
+  if (add.length) ss.addViewers(add);
+  remove.forEach(function(e){ ss.removeViewer(e); });
+  Logger.log('👥 "' + ss.getName() + '": +' + add.length + ' / -' + remove.length + ' viewer(s)');
+}
+
+/* ========================= Account Tabs & Forecast ========================= */
+
+function makeAccountTabName_(name, acctId) {
+  var clean = (name || '').replace(/[\[\]\:\?\*\/\\]/g,' ');
+  if (clean.length > 80) clean = clean.substring(0,80).trim();
+  return clean + ' - ' + acctId;
+}
+
+/** Tabs carrying META.TAB: { sheets: { key: sheet }, archived: { sheetId: true } }. */
+function indexOwnedTabs_(ss) {
+  var out = { sheets: {}, archived: {} };
+  ss.createDeveloperMetadataFinder().withKey(META.TAB).find().forEach(function(md){
+    var sheet = md.getLocation().getSheet();
+    if (sheet) out.sheets[md.getValue()] = sheet;
+  });
+  ss.createDeveloperMetadataFinder().withKey(META.ARCHIVED).find().forEach(function(md){
+    var sheet = md.getLocation().getSheet();
+    if (sheet) out.archived[sheet.getSheetId()] = true;
+  });
+  return out;
+}
+
+/**
+ * The tab owned by key, renamed to tabName if the account was renamed and restored if archived.
+ * Without one, a tab called tabName (e.g. from before tabs were tracked) is adopted or created.
+ */
+function getAccountTab_(ss, owned, key, tabName) {
+  var sheet = owned.sheets[key];
+  if (!sheet) {
+    sheet = getOrCreateSheet_(ss, tabName);
+    setSheetMeta_(sheet, META.TAB, key);
+    owned.sheets[key] = sheet;
+    return sheet;
+  }
+  if (owned.archived[sheet.getSheetId()]) {
+    sheet.showSheet();
+    removeSheetMeta_(sheet, META.ARCHIVED);
+    delete owned.archived[sheet.getSheetId()];
+    Logger.log('📂 Restored archived tab for ' + key);
+  }
+  var current = sheet.getName();
+  if (current !== tabName) {
+    if (ss.getSheetByName(tabName)) {
+      Logger.log('⚠️  Cannot rename "' + current + '" to "' + tabName + '": a tab with that name exists.');
+    } else {
+      sheet.setName(tabName);
+      Logger.log('✏️  Renamed tab "' + current + '" → "' + tabName + '"');
+    }
+  }
+  return sheet;
+}
+
+/**
+ * Archives or deletes owned tabs without a summary this run (see ORPHAN_TAB_ACTION). Tabs of
+ * accounts that failed are kept. Preview runs only log. Returns the number of tabs handled.
+ */
+function cleanupOrphanTabs_(ss, owned, summaries, isPreview) {
+  var action = ('' + ORPHAN_TAB_ACTION).toUpperCase();
+  if (action !== 'ARCHIVE' && action !== 'DELETE') return 0;
+
+  var keep = {}, failed = {};
+  summaries.forEach(function(s){
+    keep[s.key] = true;
+    if (s.error) failed[s.accountId] = true;
+  });
+
+  var handled = 0;
+  for (var key in owned.sheets) {
+    if (!owned.sheets.hasOwnProperty(key) || keep[key] || failed[key.split(':')[0]]) continue;
+    var sheet = owned.sheets[key];
+    if (action === 'ARCHIVE' && owned.archived[sheet.getSheetId()]) continue;
+
+    var name = sheet.getName();
+    if (isPreview) {
+      Logger.log('🗄️  Would ' + action.toLowerCase() + ' orphaned tab "' + name + '" (preview)');
+    } else if (action === 'DELETE') {
+      ss.deleteSheet(sheet);
+      delete owned.sheets[key];
+      Logger.log('🗑️  Deleted orphaned tab "' + name + '"');
+    } else {
+      var archivedName = (ARCHIVED_TAB_PREFIX + name).substring(0, 100);
+      if (!ss.getSheetByName(archivedName)) sheet.setName(archivedName);
+      sheet.hideSheet();
+      setSheetMeta_(sheet, META.ARCHIVED, Utilities.formatDate(new Date(), getTz_(), 'yyyy-MM-dd'));
+      owned.archived[sheet.getSheetId()] = true;
+      Logger.log('🗄️  Archived orphaned tab "' + name + '"');
+    }
+    handled++;
+  }
+  return handled;
+}
+
+/** KPI, table and chart labels are written for spend; other metrics swap in their own name. */
+function metricLabel_(label, metric) {
+  if (!metric || metric === 'COST') return label;
+  var name = METRICS[metric].label;
+  return label
+    .replace('Percentage Budget Spent', '% of Target Reached')
+    .replace('Budget Source', 'Target Source')
+    .replace('Budget Cap', name + ' Target')
+    .replace('Available Budget Remaining', name + ' Remaining to Target')
+    .replace(/Spend|Cost|Budget/g, name);
+}
+
+var ACCOUNT_TABLE_HEADERS = [
+  'Date','Cost (Day)','Cumulative Spend','Target Daily Spend',
+  'Cumulative Forecast','Daily Gap (vs Target Daily)','Cumulative Gap (vs Target)',
+  'Running Pace %','Projected EoM Spend','Recommended Daily Budget'
+];
+var ACCOUNT_TABLE_FORMATS = ['yyyy-mm-dd','0.00','0.00','0.00','0.00','0.00','0.00','0.00%','0.00','0.00'];
+
+// Chart anchored at E1; the per-day table starts below whichever is taller, KPIs or chart.
+var CHART_ANCHOR_ROW = 1, CHART_ANCHOR_COL = 5, CHART_HEIGHT_ROWS = 18;
+
+/**
+ * Day-to-day runs only write the KPI and per-day values (one call each). Formats, rules and the
+ * chart are rebuilt when the layout key (version, KPI count, period dates, thresholds) changes.
+ */
+function writeAccountSheet_(sheet, ctx) {
+  var targetToDate = ctx.monthlyBudget * (ctx.daysElapsed / ctx.daysInPeriod);
+  var paceVsTarget = ctx.spendMtd - targetToDate;
+  var pctBudgetSpent = ctx.monthlyBudget > 0 ? (ctx.spendMtd / ctx.monthlyBudget) : 0;
+
+  var remainingDays = Math.max(ctx.daysInPeriod - ctx.daysElapsed, 0);
+  var projectedEom  = ctx.forecast.projectedEom;
+  var recDaily = (remainingDays > 0) ? Math.max((ctx.monthlyBudget - ctx.spendMtd) / remainingDays, 0) : 0;
+
+  var updatedAtStr = Utilities.formatDate(ctx.updatedAt, ctx.tz, "yyyy-MM-dd HH:mm:ss '(" + ctx.tz + ")'");
+
+  var kpis = [
+    ['Last Updated', updatedAtStr],
+    ['Account Name', ctx.accountName],
+    ['Account ID', ctx.accountId],
+    ['Account Currency', ctx.currency],
+    ['Budget Cap', ctx.monthlyBudget],
+    ['Spend to Date', ctx.spendMtd],
+    ['Available Budget Remaining', ctx.availableRemaining],
+    ['Days in Period', ctx.daysInPeriod],
+    ['Days Elapsed', ctx.daysElapsed],
+    ['Target Spend To Date', targetToDate],
+    ['Pace vs Target', paceVsTarget],
+    ['Percentage Budget Spent', pctBudgetSpent],
+    ['Projected EoM Spend', projectedEom],
+    ['Recommended Daily Spend to 100%', recDaily],
+    ['Forecast Daily Avg (remaining days)', ctx.forecast.dailyAvg],
+    ['Period', ctx.periodLabel],
+    ['Budget Source', ctx.budgetSource],
+    ['Forecast Model', ctx.forecast.model + ' — ' + ctx.forecast.label],
+    ['Base Budget', ctx.rollover ? ctx.rollover.base : ctx.monthlyBudget],
+    ['Carried From Last Period', ctx.rollover ? ctx.rollover.carried : 0],
+    ['Effective Cap', ctx.monthlyBudget]
+  ];
+  // Intraday rows are always present (blank for budget groups) so the layout does not shift.
+  var intra = ctx.intraday || {};
+  kpis.push(
+    ['Today So Far' + (intra.asOf ? ' (to ' + intra.asOf + ')' : ''), intra.asOf ? intra.spendSoFar : ''],
+    ['Typical Share of Day Spent by Now', intra.asOf ? intra.share : ''],
+    ['Today vs Typical by Now', intra.vsTypical === null || intra.vsTypical === undefined ? '' : intra.vsTypical],
+    ['Projected End-of-Day Spend', intra.projectedEod === null || intra.projectedEod === undefined ? '' : intra.projectedEod]
+  );
+  var vals = ctx.perDay.map(function(r){
+    return [
+      r.date, r.cost, r.cumSpend, r.targetDaily,
+      r.cumForecast, r.gap, r.cumGap,
+      r.runningPacePct, r.projectedEomAtDay, r.recDaily
+    ];
+  });
+  var startRow = Math.max(kpis.length + 3, CHART_ANCHOR_ROW + CHART_HEIGHT_ROWS + 2);
+
+  var layoutKey = [LAYOUT_VERSION, kpis.length, ctx.metric,
+    vals.length ? ymd_(vals[0][0]) + '..' + ymd_(vals[vals.length-1][0]) : '',
+    JSON.stringify(ctx.thresholds || defaultThresholds_())].join('|');
+  if (getSheetMeta_(sheet, META.LAYOUT) !== layoutKey) {
+    buildAccountLayout_(sheet, ctx, kpis, startRow);
+    setSheetMeta_(sheet, META.LAYOUT, layoutKey);
+  }
+
+  sheet.getRange(1,1,kpis.length,2).setValues(kpis.map(function(k){ return [metricLabel_(k[0], ctx.metric), k[1]]; }));
+  if (vals.length) sheet.getRange(startRow+1,1,vals.length,ACCOUNT_TABLE_HEADERS.length).setValues(vals);
+}
+
+/** Clears the tab and lays out formats, KPI rules, the table header and the chart for ctx.perDay. */
+function buildAccountLayout_(sheet, ctx, kpis, startRow) {
+  sheet.clear(); removeAllCharts_(sheet); sheet.clearConditionalFormatRules();
+
+  var percentKpis = { 'Percentage Budget Spent': true, 'Typical Share of Day Spent by Now': true, 'Today vs Typical by Now': true };
+  sheet.getRange(2,2,kpis.length-1,1).setNumberFormats(kpis.slice(1).map(function(k){ return [percentKpis[k[0]] ? '0.00%' : '0.00']; }));
+
+  // Traffic-light conditional formatting for KPI cells, all from the account's thresholds:
+  // Target and Pace vs Target by pace delta, % Spent by distance from 100%, Projected EoM vs cap.
+  var th = ctx.thresholds || defaultThresholds_();
+  var rules = []
+    .concat(trafficLightRules_(sheet.getRange(10,2,2,1), 'IF($B$10>0,$B$11/$B$10,-1)', th))
+    .concat(trafficLightRules_(sheet.getRange(12,2,1,1), '$B$12-1', th))
+    .concat(trafficLightRules_(sheet.getRange(13,2,1,1), 'IF($B$5>0,$B$13/$B$5-1,-1)', th));
+
+  sheet.setConditionalFormatRules(rules);
+
+  sheet.getRange(startRow,1,1,ACCOUNT_TABLE_HEADERS.length)
+    .setValues([ACCOUNT_TABLE_HEADERS.map(function(h){ return metricLabel_(h, ctx.metric); })]).setFontWeight('bold');
+  if (!ctx.perDay.length) return;
+
+  sheet.getRange(startRow+1,1,ctx.perDay.length,ACCOUNT_TABLE_FORMATS.length)
+    .setNumberFormats(ctx.perDay.map(function(){ return ACCOUNT_TABLE_FORMATS; }));
+  setColumnWidths_(sheet, [110,110,140,150,170,160,170,130,180,180]);
+  sheet.setFrozenRows(0);
+
+  var ticks = buildWeeklyTicksFromPerDay_(ctx.perDay);
+
+  var rowsWithHeader = ctx.perDay.length + 1;
+  var chart = sheet.newChart()
+    .asLineChart()
+    .addRange(sheet.getRange(startRow, 1, rowsWithHeader, 1)) // Date
+    .addRange(sheet.getRange(startRow, 3, rowsWithHeader, 1)) // Cumulative Spend
+    .addRange(sheet.getRange(startRow, 5, rowsWithHeader, 1)) // Cumulative Forecast
+    .setPosition(CHART_ANCHOR_ROW, CHART_ANCHOR_COL, 0, 0)    // E1
+    .setOption('title', metricLabel_('Pacing — Spend vs Forecast', ctx.metric) + ' (' + ctx.periodLabel + ')')
+    .setOption('legend',{ position:'right' })
+    .setOption('useFirstColumnAsDomain', true)
+    .setOption('useFirstRowAsHeaders', true)
+    .setOption('series', {
+      0: { labelInLegend: metricLabel_('Cumulative Spend', ctx.metric) },
+      1: { labelInLegend: 'Cumulative Forecast' }
+    })
+    .setOption('width', 720)
+    .setOption('height', 300)
+    .setOption('hAxis', { format: 'MMM d', ticks: ticks })
+    .build();
+  sheet.insertChart(chart);
+}
+
+/* ========================= Dates & Math ========================= */
+
+/**
+ * Pacing window containing `today` (in tz). Dates are local midnights; days are 1-based and
+ * inclusive, so daysElapsed counts today and is clamped to 0..daysInPeriod.
+ */
+function periodMeta_(today, tz, period) {
+  period = period || { type: 'MONTH' };
+  var y  = Number(Utilities.formatDate(today, tz, 'yyyy'));
+  var m0 = Number(Utilities.formatDate(today, tz, 'M')) - 1;
+  var d  = Number(Utilities.formatDate(today, tz, 'd'));
+  var todayDate = new Date(y, m0, d);
+  var start, end;
+
+  switch (period.type) {
+    case 'QUARTER':
+      var q0 = Math.floor(m0 / 3) * 3;
+      start = new Date(y, q0, 1);
+      end   = new Date(y, q0 + 3, 0);
+      break;
+    case 'FLIGHT':
+      start = (d >= period.startDay) ? new Date(y, m0, period.startDay) : new Date(y, m0 - 1, period.startDay);
+      end   = new Date(start.getFullYear(), start.getMonth() + 1, period.startDay - 1);
+      break;
+    case 'CUSTOM':
+      start = period.start;
+      end   = period.end;
+      break;
+    default:
+      start = new Date(y, m0, 1);
+      end   = new Date(y, m0 + 1, 0);
+  }
+
+  var daysInPeriod = daysBetween_(start, end) + 1;
+  var daysElapsed  = Math.min(Math.max(daysBetween_(start, todayDate) + 1, 0), daysInPeriod);
+  var label = (period.type === 'MONTH') ? 'This Month' : (ymd_(start) + ' → ' + ymd_(end));
+  return {
+    tz: tz, type: period.type, start: start, end: end, today: todayDate,
+    daysInPeriod: daysInPeriod, daysElapsed: daysElapsed,
+    label: label, key: ymd_(start) + '..' + ymd_(end)
+  };
+}
+
+/** Last date with data in the window (today, yesterday with excludeToday_, or the period end), or null before it starts. */
+function periodReportEnd_(pCtx) {
+  if (pCtx.daysElapsed <= 0) return null;
+  return addDays_(pCtx.start, pCtx.daysElapsed - 1);
+}
+
+/** Completed-days pacing (PACE_COMPLETED_DAYS_ONLY): today no longer counts as elapsed while the period runs. */
+function excludeToday_(pCtx) {
+  pCtx.completedOnly = true;
+  if (pCtx.today <= pCtx.end && pCtx.daysElapsed > 0) pCtx.daysElapsed--;
+  pCtx.label += ' (completed days)';
+  return pCtx;
+}
+
+/** Build base per-day series across the entire period (actuals + zeros for future) */
+function buildPerDayRows_(daily, monthlyBudget, pCtx) {
   var byDay = {};
   for (var i=0;i<daily.length;i++) {
-    var day = daily[i].date.getDate();
-    byDay[day] = (byDay[day] || 0) + (daily[i].cost || 0);
+    var key = ymd_(daily[i].date);
+    byDay[key] = (byDay[key] || 0) + (daily[i].cost || 0);
   }
-  var targetDaily = mCtx.daysInMonth > 0 ? (monthlyBudget / mCtx.daysInMonth) : 0;
+  var targetDaily = pCtx.daysInPeriod > 0 ? (monthlyBudget / pCtx.daysInPeriod) : 0;
   var perDay = [], cumSpend = 0;
 
-  for (var d=1; d<=mCtx.daysInMonth; d++) {
-    var cost = byDay[d] || 0;
+  for (var d=1; d<=pCtx.daysInPeriod; d++) {
+    var date = addDays_(pCtx.start, d - 1);
+    var cost = byDay[ymd_(date)] || 0;
     cumSpend += cost;
 
     var cumTarget = targetDaily * d;
@@ -606,7 +2918,7 @@ function buildPerDayRows_(daily, monthlyBudget, mCtx) {
     var runningPacePct = monthlyBudget > 0 ? (cumSpend / monthlyBudget) : 0;
 
     perDay.push({
-      date: new Date(mCtx.y, mCtx.m0, d),
+      date: date,
       cost: cost,
       cumSpend: cumSpend,
       targetDaily: targetDaily,
@@ -614,14 +2926,69 @@ function buildPerDayRows_(daily, monthlyBudget, mCtx) {
       gap: gap,
       cumGap: cumGap,
       runningPacePct: runningPacePct,
-      recDaily: (mCtx.daysInMonth - d > 0)
-        ? Math.max((monthlyBudget - cumSpend) / (mCtx.daysInMonth - d), 0)
+      recDaily: (pCtx.daysInPeriod - d > 0)
+        ? Math.max((monthlyBudget - cumSpend) / (pCtx.daysInPeriod - d), 0)
         : 0
     });
   }
   return perDay;
 }
 
+/** Target, pace, projection, recommended daily spend, exhaustion and risk for a budget over the period. */
+function computePacing_(budgetCap, spendMtd, pCtx, forecast, perDay) {
+  var targetToDate  = budgetCap * (pCtx.daysElapsed / pCtx.daysInPeriod);
+  var remainingDays = Math.max(pCtx.daysInPeriod - pCtx.daysElapsed, 0);
+  var exhaust = computeExhaustion_(budgetCap, spendMtd, pCtx, perDay);
+  var pacing = {
+    budgetCap: budgetCap,
+    spendMtd: spendMtd,
+    availableRemaining: Math.max(budgetCap - spendMtd, 0),
+    daysInPeriod: pCtx.daysInPeriod,
+    daysElapsed: pCtx.daysElapsed,
+    targetToDate: targetToDate,
+    paceVsTarget: spendMtd - targetToDate,
+    pctBudgetSpent: budgetCap > 0 ? (spendMtd / budgetCap) : 0,
+    paceDeltaPct: targetToDate > 0 ? (spendMtd / targetToDate) - 1 : 0,
+    projectedEom: forecast.projectedEom,
+    recDaily: remainingDays > 0 ? Math.max((budgetCap - spendMtd) / remainingDays, 0) : 0,
+    exhaustDate: exhaust ? ymd_(exhaust) : '',
+    exhaustDaysVsEnd: exhaust ? daysBetween_(pCtx.end, exhaust) : ''
+  };
+  pacing.riskScore = computeRiskScore_(pacing, perDay, pCtx);
+  return pacing;
+}
+
+/**
+ * Day the cap runs out at the weighted recent daily rate (wmaDaily) after the last reported day,
+ * or the day it was crossed if already spent; null when nothing is being spent.
+ */
+function computeExhaustion_(budgetCap, spendMtd, pCtx, perDay) {
+  if (spendMtd >= budgetCap) {
+    for (var i=0; i<pCtx.daysElapsed; i++) if (perDay[i].cumSpend >= budgetCap) return perDay[i].date;
+    return pCtx.today;
+  }
+  var wmaDaily = computeWmaDaily_(perDay, pCtx.daysElapsed, WMA_WINDOW_DAYS);
+  var last = periodReportEnd_(pCtx);
+  if (!(wmaDaily > 0) || !last) return null;
+  return addDays_(last, Math.ceil((budgetCap - spendMtd) / wmaDaily));
+}
+
+/** 0–100: weighted pace delta, forecast overshoot and recent daily-cost volatility (see OVERVIEW_SORT). */
+function computeRiskScore_(pacing, perDay, pCtx) {
+  var recent = perDay.slice(Math.max(pCtx.daysElapsed - WMA_WINDOW_DAYS, 0), pCtx.daysElapsed).map(function(r){ return r.cost || 0; });
+  var mean = recent.length ? recent.reduce(function(a, x){ return a + x; }, 0) / recent.length : 0;
+  var variance = recent.length ? recent.reduce(function(a, x){ return a + (x - mean) * (x - mean); }, 0) / recent.length : 0;
+  var part = function(x){ return Math.min(Math.max(x / RISK_FULL_SCALE, 0), 1); };
+
+  var parts = [
+    [RISK_WEIGHT_PACE,       part(pacing.paceDeltaPct)],
+    [RISK_WEIGHT_OVERSHOOT,  part(pacing.budgetCap > 0 ? pacing.projectedEom / pacing.budgetCap - 1 : 0)],
+    [RISK_WEIGHT_VOLATILITY, part(mean > 0 ? Math.sqrt(variance) / mean : 0)]
+  ];
+  var sumW = parts.reduce(function(a, p){ return a + p[0]; }, 0);
+  return sumW > 0 ? Math.round(100 * parts.reduce(function(a, p){ return a + p[0] * p[1]; }, 0) / sumW) : 0;
+}
+
 /** Weighted recent average of last N ACTUAL days; newest has highest weight. */
 function computeWmaDaily_(perDay, daysElapsed, window) {
   var n = Math.min(window, Math.max(daysElapsed, 0));
@@ -637,25 +3004,218 @@ function computeWmaDaily_(perDay, daysElapsed, window) {
   return sumW ? (sumWX / sumW) : 0;
 }
 
-/** Extend forecast cumulatively for charting + per-row projected EoM. */
-function applyWmaForecast_(perDay, mCtx, spendMtd, wmaDaily) {
-  for (var d=1; d<=perDay.length; d++) {
-    perDay[d-1].cumForecastWma = (d <= mCtx.daysElapsed)
-      ? perDay[d-1].cumSpend
-      : spendMtd + wmaDaily * (d - mCtx.daysElapsed);
-    perDay[d-1].projectedEomWmaAtDay =
-      perDay[d-1].cumSpend + wmaDaily * (mCtx.daysInMonth - d);
+/**
+ * Extend forecast cumulatively for charting + per-row projected EoM.
+ * daily[i] = the model's expected cost on day i+1; only days after daysElapsed are projected.
+ */
+function applyForecast_(perDay, pCtx, spendMtd, daily) {
+  var after = 0; // forecast cost of days after d
+  for (var d=perDay.length; d>=1; d--) {
+    perDay[d-1].projectedEomAtDay = perDay[d-1].cumSpend + after;
+    after += daily[d-1] || 0;
+  }
+  var cum = spendMtd;
+  for (d=1; d<=perDay.length; d++) {
+    if (d <= pCtx.daysElapsed) {
+      perDay[d-1].cumForecast = perDay[d-1].cumSpend;
+    } else {
+      cum += daily[d-1] || 0;
+      perDay[d-1].cumForecast = cum;
+    }
   }
   return perDay;
 }
 
+/* ========================= Reporting (GAQL) ========================= */
+
+/**
+ * Pacing metrics (Config "Pacing Metric"): display name, GAQL field and its key in search rows.
+ * Money fields arrive in micros.
+ */
+var METRICS = {
+  COST:        { label: 'Spend',       field: 'metrics.cost_micros', key: 'costMicros', micros: true },
+  CONVERSIONS: { label: 'Conversions', field: 'metrics.conversions', key: 'conversions' },
+  CLICKS:      { label: 'Clicks',      field: 'metrics.clicks',      key: 'clicks' },
+  IMPRESSIONS: { label: 'Impressions', field: 'metrics.impressions', key: 'impressions' }
+};
+
+/**
+ * The one query into Google Ads reporting. Must run with the account selected. Returns
+ * [{ day: 'yyyy-MM-dd', hour, value }] for from..to (inclusive), one row per day (or per day and
+ * hour with options.byHour), summed over campaigns. options: { metric (default COST),
+ * campaignIds (only those campaigns), byHour }.
+ */
+function queryMetric_(from, to, options) {
+  options = options || {};
+  var metric = METRICS[options.metric || 'COST'];
+  var segments = options.byHour ? 'segments.date, segments.hour' : 'segments.date';
+  var gaql = 'SELECT ' + segments + ', ' + metric.field +
+    ' FROM ' + (options.campaignIds ? 'campaign' : 'customer') +
+    " WHERE segments.date BETWEEN '" + ymd_(from) + "' AND '" + ymd_(to) + "'" +
+    (options.campaignIds ? ' AND campaign.id IN (' + options.campaignIds.join(',') + ')' : '');
+
+  var sums = {}, rows = [];
+  var it = AdsApp.search(gaql);
+  while (it.hasNext()) {
+    var r = it.next();
+    var hour = options.byHour ? Number(r.segments.hour) : null;
+    var key = r.segments.date + '|' + hour;
+    if (!sums[key]) { sums[key] = { day: r.segments.date, hour: hour, value: 0 }; rows.push(sums[key]); }
+    var value = Number(r.metrics[metric.key]) || 0;
+    sums[key].value += metric.micros ? value / 1000000 : value;
+  }
+  return rows;
+}
+
+/** Period-to-date daily rows (see getDailySpendBetween_); spend to date is their sum, so KPIs and table agree. */
+function getDailySpend_(pCtx) {
+  var to = periodReportEnd_(pCtx);
+  if (!to) return [];
+  return getDailySpendBetween_(pCtx.start, to);
+}
+
+/**
+ * Account-level daily cost, or only the given campaigns' when campaignIds is passed: [{ date, cost }]
+ * sorted by date. With a pacing metric (see METRICS) `cost` holds that metric instead, so the
+ * per-day rows and forecasts work as is.
+ */
+function getDailySpendBetween_(from, to, campaignIds, metric) {
+  return queryMetric_(from, to, { metric: metric, campaignIds: campaignIds })
+    .map(function(r){ return { date: parseDate_(r.day), cost: r.value }; })
+    .sort(function(a,b){ return a.date - b.date; });
+}
+
+/** Total cost of from..to ('yyyy-MM-dd' strings or Dates). */
+function getSpendBetween_(from, to) {
+  return sumCost_(getDailySpendBetween_(parseDate_(from), parseDate_(to)));
+}
+
+function sumCost_(daily) {
+  return daily.reduce(function(sum, r){ return sum + r.cost; }, 0);
+}
+
+/* ========================= Intraday ========================= */
+
+/**
+ * Must run with the account selected. Today's spend so far against the account's typical hourly
+ * curve: share = average share of a day's cost spent by this time over the last
+ * INTRADAY_TRAINING_DAYS days. projectedEod = spend so far / share (null while share < 5%, as
+ * the first hours are too noisy); vsTypical compares spend so far with the typical day by now.
+ */
+function getIntradayProjection_(tz) {
+  var now = new Date();
+  var today = parseDate_(Utilities.formatDate(now, tz, 'yyyy-MM-dd'));
+  var hourNow = Number(Utilities.formatDate(now, tz, 'H')) + Number(Utilities.formatDate(now, tz, 'm')) / 60;
+  var hourly = queryMetric_(addDays_(today, -INTRADAY_TRAINING_DAYS), today, { byHour: true });
+
+  var todayKey = ymd_(today), spendSoFar = 0;
+  var byDay = {}; // training day → cost per hour
+  hourly.forEach(function(r){
+    if (r.day === todayKey) { spendSoFar += r.value; return; }
+    (byDay[r.day] = byDay[r.day] || [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0])[r.hour] += r.value;
+  });
+
+  var byNow = 0, total = 0;
+  Object.keys(byDay).forEach(function(day){
+    byDay[day].forEach(function(cost, h){
+      total += cost;
+      byNow += cost * Math.min(Math.max(hourNow - h, 0), 1); // the current hour counts pro rata
+    });
+  });
+  var days = Object.keys(byDay).length;
+  var share = total > 0 ? byNow / total : 0;
+  var typicalByNow = days ? byNow / days : 0;
+  return {
+    asOf: Utilities.formatDate(now, tz, 'HH:mm'),
+    spendSoFar: spendSoFar,
+    share: share,
+    vsTypical: typicalByNow > 0 ? spendSoFar / typicalByNow - 1 : null,
+    projectedEod: share >= 0.05 ? spendSoFar / share : null
+  };
+}
+
+/* ========================= Forecast Models ========================= */
+
+/**
+ * Each model returns the expected cost for every day of the period (index 0 = period start), or
+ * null when it has no data to work with. Models may query Ads, so the account must be selected.
+ */
+var FORECAST_MODELS = {
+  WMA: { label: 'Weighted moving avg (' + WMA_WINDOW_DAYS + ' d)',            daily: forecastWma_ },
+  EXP: { label: 'Exponential smoothing (α ' + EXP_SMOOTHING_ALPHA + ')',       daily: forecastExp_ },
+  DOW: { label: 'Day-of-week seasonal (' + DOW_TRAINING_WEEKS + ' wks)',       daily: forecastDow_ },
+  YOY: { label: 'Same period last year, scaled',                              daily: forecastYoy_ }
+};
+
+/**
+ * Runs the model (WMA fallback), fills cumForecast/projectedEomAtDay on perDay, returns totals.
+ * fetchDaily(from, to) supplies extra history for models that train outside the period.
+ */
+function runForecast_(modelKey, perDay, pCtx, spendMtd, fetchDaily) {
+  var key = FORECAST_MODELS[modelKey] ? modelKey : 'WMA';
+  var label = FORECAST_MODELS[key].label;
+  var daily = FORECAST_MODELS[key].daily(perDay, pCtx, spendMtd, fetchDaily);
+  if (!daily) {
+    label = FORECAST_MODELS.WMA.label + ' (fallback: no ' + key + ' data)';
+    key = 'WMA';
+    daily = forecastWma_(perDay, pCtx);
+  }
+  applyForecast_(perDay, pCtx, spendMtd, daily);
+
+  var remaining = daily.slice(pCtx.daysElapsed);
+  var sumRemaining = remaining.reduce(function(a, x){ return a + x; }, 0);
+  return {
+    model: key,
+    label: label,
+    daily: daily,
+    dailyAvg: remaining.length ? sumRemaining / remaining.length : (daily[daily.length - 1] || 0),
+    projectedEom: spendMtd + sumRemaining
+  };
+}
+
+function forecastWma_(perDay, pCtx) {
+  var wma = computeWmaDaily_(perDay, pCtx.daysElapsed, WMA_WINDOW_DAYS);
+  return perDay.map(function(){ return wma; });
+}
+
+/** Simple exponential smoothing over the actual days; flat forecast at the final level. */
+function forecastExp_(perDay, pCtx) {
+  var level = null;
+  for (var i=0; i<pCtx.daysElapsed; i++) {
+    var x = perDay[i].cost || 0;
+    level = (level === null) ? x : EXP_SMOOTHING_ALPHA * x + (1 - EXP_SMOOTHING_ALPHA) * level;
+  }
+  return perDay.map(function(){ return level || 0; });
+}
+
+/** Mean cost per weekday over the last DOW_TRAINING_WEEKS full weeks before today. */
+function forecastDow_(perDay, pCtx, spendMtd, fetchDaily) {
+  var train = fetchDaily(addDays_(pCtx.today, -7 * DOW_TRAINING_WEEKS), addDays_(pCtx.today, -1));
+  if (!train.length) return null;
+  var byWeekday = [0,0,0,0,0,0,0];
+  train.forEach(function(r){ byWeekday[r.date.getDay()] += r.cost; });
+  return perDay.map(function(r){ return byWeekday[r.date.getDay()] / DOW_TRAINING_WEEKS; });
+}
+
+/** Last year's daily cost for the same dates, scaled by this year's spend to date vs. last year's. */
+function forecastYoy_(perDay, pCtx, spendMtd, fetchDaily) {
+  var lastYear = function(date){ return new Date(date.getFullYear() - 1, date.getMonth(), date.getDate()); };
+  var byDay = {};
+  fetchDaily(lastYear(pCtx.start), lastYear(pCtx.end)).forEach(function(r){ byDay[ymd_(r.date)] = r.cost; });
+
+  var ly = perDay.map(function(r){ return byDay[ymd_(lastYear(r.date))] || 0; });
+  if (!ly.some(function(x){ return x > 0; })) return null;
+
+  var lyToDate = ly.slice(0, pCtx.daysElapsed).reduce(function(a, x){ return a + x; }, 0);
+  var scale = (lyToDate > 0 && spendMtd > 0) ? spendMtd / lyToDate : 1;
+  return ly.map(function(x){ return x * scale; });
+}
+
 /* ========================= Sheet Ordering ========================= */
 
-function orderClientSheetsByName_(ss, overviewSheet, names) {
-  if (!names || !names.length) return;
-  var unique = {}; names.forEach(function(n){ unique[n]=true; });
-  var clientSheets = ss.getSheets().filter(function(sh){ return unique[sh.getName()]; });
-  if (!clientSheets.length) return;
+/** clientSheets: owned account tabs (see indexOwnedTabs_); no other tab is ever moved. */
+function orderClientSheetsByName_(ss, overviewSheet, clientSheets) {
+  if (!clientSheets || !clientSheets.length) return;
 
   clientSheets.sort(function(a,b){
     var A=a.getName().toLowerCase(), B=b.getName().toLowerCase();
@@ -679,22 +3239,115 @@ function getSheetPosition_(ss, sheet) {
 
 /* ========================= Utilities ========================= */
 
-function trendLabel_(paceDeltaPct) {
+/** th: the account's thresholds (parseThresholds_); omitted = global defaults. */
+function trendLabel_(paceDeltaPct, th) {
   var abs = Math.abs(paceDeltaPct), pct = Math.round(abs * 100);
-  if (abs <= 0.05) return 'On Target';
+  if (paceStatus_(paceDeltaPct, th) === 'GREEN') return 'On Target';
   return (paceDeltaPct < 0) ? ('Under ' + pct + '%') : ('Over ' + pct + '%');
 }
 
+/** GREEN within the green band, YELLOW inside the yellow band, RED beyond; under/over sides may differ. */
+function paceStatus_(paceDeltaPct, th) {
+  th = th || defaultThresholds_();
+  var abs = Math.abs(paceDeltaPct);
+  var green  = paceDeltaPct < 0 ? th.underGreen : th.overGreen;
+  var yellow = paceDeltaPct < 0 ? th.underYellow : th.overYellow;
+  if (abs >= yellow) return 'RED';
+  if (abs > green) return 'YELLOW';
+  return 'GREEN';
+}
+
+/**
+ * Green/yellow/red rules for a cell whose deviation from plan is the formula x (a fraction,
+ * negative = under), using the same bands as paceStatus_.
+ */
+function trafficLightRules_(range, x, th) {
+  var within = function(under, over){ return '=AND(' + x + '>=-' + under + ',' + x + '<=' + over + ')'; };
+  return [
+    SpreadsheetApp.newConditionalFormatRule().whenFormulaSatisfied(within(th.underGreen, th.overGreen))
+      .setBackground('#D5F5E3').setRanges([range]).build(),
+    SpreadsheetApp.newConditionalFormatRule().whenFormulaSatisfied(within(th.underYellow, th.overYellow))
+      .setBackground('#FDEBD0').setRanges([range]).build(),
+    SpreadsheetApp.newConditionalFormatRule().whenFormulaSatisfied('=TRUE')
+      .setBackground('#FADBD8').setRanges([range]).build()
+  ];
+}
+
+function isTrue_(value) {
+  return value === true || ('' + value).trim().toUpperCase() === 'TRUE';
+}
+
+/** Accepts 95, '95%' or 0.95 and returns a fraction; blank/invalid = 0. */
+function parsePct_(value) {
+  var str = ('' + (value === null || value === undefined ? '' : value)).trim();
+  if (!str) return 0;
+  var n = Number(str.replace('%',''));
+  if (isNaN(n) || n <= 0) return 0;
+  return (str.indexOf('%') !== -1 || n > 1) ? n / 100 : n;
+}
+
+function parseList_(value) {
+  return (value || '').toString().split(/[,;\s]+/).filter(function(v){ return v; });
+}
+
+function formatMoney_(n, currency) {
+  return (Number(n) || 0).toFixed(2) + ' ' + (currency || '');
+}
+
+/** Money for spend rows, else the metric count (e.g. "42.5 conversions"). */
+function formatAmount_(n, s) {
+  if (isSpendRow_(s)) return formatMoney_(n, s.currency);
+  return (Math.round((Number(n) || 0) * 10) / 10) + ' ' + METRICS[s.metric].label.toLowerCase();
+}
+
+function escapeHtml_(str) {
+  return ('' + str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
+
+function loadJsonProperty_(key) {
+  var raw = PropertiesService.getScriptProperties().getProperty(key);
+  if (!raw) return {};
+  try { return JSON.parse(raw); } catch (e) { return {}; }
+}
+
+function saveJsonProperty_(key, obj) {
+  PropertiesService.getScriptProperties().setProperty(key, JSON.stringify(obj));
+}
+
+/** Weekly ticks from the first day of the window, always including its last day. */
 function buildWeeklyTicksFromPerDay_(perDay) {
   if (!perDay || !perDay.length) return [];
-  var y = perDay[0].date.getFullYear(), m0 = perDay[0].date.getMonth();
-  var lastDay = perDay[perDay.length - 1].date.getDate();
   var ticks = [];
-  for (var d=1; d<=lastDay; d+=7) ticks.push(new Date(y, m0, d));
-  if (ticks[ticks.length - 1].getDate() !== lastDay) ticks.push(new Date(y, m0, lastDay));
+  for (var i=0; i<perDay.length; i+=7) ticks.push(perDay[i].date);
+  var last = perDay[perDay.length - 1].date;
+  if (ticks[ticks.length - 1] !== last) ticks.push(last);
   return ticks;
 }
 
+/** Local calendar date as 'yyyy-MM-dd'. */
+function ymd_(date) {
+  var m = date.getMonth() + 1, d = date.getDate();
+  return date.getFullYear() + '-' + (m < 10 ? '0' : '') + m + '-' + (d < 10 ? '0' : '') + d;
+}
+
+function addDays_(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+/** Whole days from a to b (local midnights; rounding absorbs DST shifts). */
+function daysBetween_(a, b) {
+  return Math.round((b.getTime() - a.getTime()) / (24*60*60*1000));
+}
+
+/** Sheet cell → local-midnight Date. Accepts Date cells and 'yyyy-mm-dd' / 'yyyy/mm/dd' text. */
+function parseDate_(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  var m = ('' + (value || '')).trim().match(/^(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})$/);
+  return m ? new Date(+m[1], +m[2]-1, +m[3]) : null;
+}
+
 function removeAllCharts_(sheet) {
   var charts = sheet.getCharts();
   for (var i=0;i<charts.length;i++) sheet.removeChart(charts[i]);